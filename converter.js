@@ -0,0 +1,137 @@
+import { Display } from "./display.js";
+import { Polygon } from "./polygon.js";
+
+/** @type {Worker | null} */
+let worker = null;
+/** @type {{resolve: Function, reject: Function, onProgress: Function} | null} */
+let job = null;
+/** Aborted by cancelConversion, for the stages on the main thread. */
+let controller = new AbortController();
+
+/**
+ * Runs the geometry pipeline (see pipeline.js) in the conversion worker.
+ * @param {Polygon[]} polygons
+ * @param {object} options - options of convertPolygons
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<{polygons: Polygon[], results: Array<{polygon: Polygon, display: Display}>,
+ *   count: number, removedArea: number, timings: {prepare: number, decompose: number}}>}
+ *   rejects with AbortError when cancelled
+ */
+export async function convertInWorker(polygons, options, onProgress) {
+  const data = await request(
+    { type: "convert", polygons: polygons.map((p) => p.toJSON()), options },
+    onProgress
+  );
+  return {
+    polygons: data.polygons.map((p) => Polygon.fromJSON(p)),
+    results: data.results.map(({ polygon, display }) => ({
+      polygon: Polygon.fromJSON(polygon),
+      display: Display.fromJSON(display),
+    })),
+    count: data.count,
+    removedArea: data.removedArea,
+    timings: data.timings,
+  };
+}
+
+/**
+ * preparePolygons in the conversion worker: the pipeline without decomposition.
+ * @param {Polygon[]} polygons
+ * @param {object} options - options of preparePolygons
+ * @returns {Promise<Polygon[]>}
+ */
+export async function prepareInWorker(polygons, options) {
+  const data = await request({
+    type: "prepare",
+    polygons: polygons.map((p) => p.toJSON()),
+    options,
+  });
+  return data.polygons.map((p) => Polygon.fromJSON(p));
+}
+
+/**
+ * measureCoverage in the conversion worker.
+ * @param {Array<{polygon: Polygon, display: Display}>} results
+ * @param {Polygon[]} [reference]
+ * @returns {Promise<object | null>} coverage, see measureCoverage
+ */
+export async function measureInWorker(results, reference) {
+  const data = await request({
+    type: "measure",
+    results: results.map(({ polygon, display }) => ({
+      polygon: polygon.toJSON(),
+      display,
+    })),
+    reference: reference?.map((p) => p.toJSON()),
+  });
+  return data.coverage;
+}
+
+/**
+ * Summon commands of a display (see Display.commands), serialized in the conversion worker.
+ * @param {Display} display
+ * @param {{maxLength?: number, pos?: Array<number|"~">}} [options={}]
+ * - maxLength: longest command, unlimited by default.
+ * @returns {Promise<string[]>}
+ */
+export async function serializeInWorker(display, options = {}) {
+  const data = await request({ type: "serialize", display, ...options });
+  return data.commands;
+}
+
+/**
+ * Signal of the current conversion, aborted by cancelConversion.
+ * Sampling checks it, since it runs on the main thread.
+ * @returns {AbortSignal}
+ */
+export function getConversionSignal() {
+  return controller.signal;
+}
+
+/**
+ * Stops the running conversion. The worker is restarted on the next request.
+ */
+export function cancelConversion() {
+  const error = new DOMException("Conversion cancelled", "AbortError");
+  controller.abort(error);
+  controller = new AbortController();
+  worker?.terminate();
+  worker = null;
+  job?.reject(error);
+  job = null;
+}
+
+// one request at a time: the pipeline is awaited step by step
+function request(message, onProgress = () => {}) {
+  if (job) return Promise.reject(new Error("Conversion already running"));
+  worker ??= createWorker();
+  return new Promise((resolve, reject) => {
+    job = { resolve, reject, onProgress };
+    worker.postMessage(message);
+  });
+}
+
+function createWorker() {
+  const instance = new Worker(new URL("./worker.js", import.meta.url));
+  instance.addEventListener("message", ({ data }) => {
+    if (!job) return;
+    if (data.type === "progress") {
+      job.onProgress(data.done, data.total);
+      return;
+    }
+    const { resolve, reject } = job;
+    job = null;
+    if (data.type === "error") reject(new Error(data.message));
+    else resolve(data);
+  });
+  instance.addEventListener("error", (event) => {
+    event.preventDefault();
+    const failed = job;
+    job = null;
+    // e.g. failed to load scripts: start over on the next request
+    instance.terminate();
+    if (worker === instance) worker = null;
+    failed?.reject(new Error(event.message || "Conversion worker failed"));
+  });
+  return instance;
+}
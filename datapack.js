@@ -0,0 +1,62 @@
+import {
+  zipSync,
+  strToU8,
+} from "https://cdn.jsdelivr.net/npm/fflate@0.8.2/+esm";
+import { LATEST_VERSION } from "./versions.js";
+
+/** Namespaces allow lowercase letters, digits, "_", "-" and "." */
+export const NAMESPACE_PATTERN = /^[a-z0-9_.-]+$/;
+/** Function paths also allow "/" between folders */
+export const FUNCTION_PATTERN = /^[a-z0-9_.-]+(\/[a-z0-9_.-]+)*$/;
+
+/**
+ * Makes a valid function name from any text (e.g. file name without extension).
+ * @param {string} text
+ * @returns {string}
+ */
+export function toFunctionName(text) {
+  return text.toLowerCase().replace(/[^a-z0-9_.-]/g, "_") || "artwork";
+}
+
+/**
+ * Scoreboard tag shared by every entity of an exported artwork.
+ * @param {string} namespace
+ * @param {string} name - function path
+ * @returns {string}
+ */
+export function getArtworkTag(namespace, name) {
+  return `${namespace}.${name.replaceAll("/", ".")}`;
+}
+
+/**
+ * Builds a datapack zip with a function summoning the artwork at the executor,
+ * and `<name>_remove` killing every entity of it.
+ * @param {{namespace: string, name: string, command: string, description?: string,
+ *   version?: object}} options
+ * - command: summon command, whose entities carry the tag of getArtworkTag.
+ * - version: one of VERSIONS, for pack format and folder name.
+ * @returns {Uint8Array} zip file
+ */
+export function createDatapack({
+  namespace,
+  name,
+  command,
+  description,
+  version = LATEST_VERSION,
+}) {
+  const tag = getArtworkTag(namespace, name);
+  const folder = `data/${namespace}/${version.functionFolder}`;
+  const mcmeta = {
+    pack: {
+      pack_format: version.packFormat,
+      description:
+        description ?? `${namespace}:${name}, made with SVGtoDisplay`,
+    },
+  };
+
+  return zipSync({
+    "pack.mcmeta": strToU8(JSON.stringify(mcmeta, null, 2)),
+    [`${folder}/${name}.mcfunction`]: strToU8(`${command}\n`),
+    [`${folder}/${name}_remove.mcfunction`]: strToU8(`kill @e[tag=${tag}]\n`),
+  });
+}
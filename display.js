@@ -1,4 +1,18 @@
-import { vec2, stringifyLiteral, hexToSignedDword } from "./utils.js";
+import {
+  vec2,
+  stringifyLiteral,
+  hexToSignedDword,
+  nbt,
+  TAG,
+  getRotationMatrix,
+  multiplyMatrix,
+} from "./utils.js";
+import { LATEST_VERSION } from "./versions.js";
+
+// A text_display of one space has a background of 1/8 x 1/4 blocks, shifted down by 0.4 of its height.
+// The space glyph and the background padding are the same in every supported version.
+const TEXT_SCALE = [8, 4];
+const TEXT_OFFSET = 0.4;
 
 /**
  * Represents a display entity, which can be either a block_display or text_display.
@@ -26,6 +40,9 @@ export class Display {
     /** @type {string | undefined} UUID identifier (optional). */
     this.uuid = undefined;
 
+    /** @type {string[]} Scoreboard tags, e.g. to select the artwork for removal. */
+    this.tags = [];
+
     /** @type {[[number, number], [number, number]]} The two side vectors defining the parallelogram. */
     this.sides =
       vec2.cross(sides[0], sides[1]) > 0 ? sides : [sides[1], sides[0]];
@@ -44,6 +61,12 @@ export class Display {
 
     /** @type {number} */
     this.layer = layer;
+
+    /** @type {object} Target Minecraft version of the NBT output, one of VERSIONS. */
+    this.version = LATEST_VERSION;
+
+    /** @type {{yaw: number, pitch: number, roll: number}} Placement rotation in degrees, upright facing south by default. */
+    this.orientation = { yaw: 0, pitch: 0, roll: 0 };
   }
 
   /**
@@ -60,16 +83,30 @@ export class Display {
     copy.state = { ...this.state };
     copy.colorCode = this.colorCode;
     copy.uuid = this.uuid;
+    copy.tags = [...this.tags];
     copy.depth = this.depth;
     copy.translation = [...this.translation];
     copy.isRoot = this.isRoot;
     copy.layer = this.layer;
+    copy.version = this.version;
+    copy.orientation = { ...this.orientation };
 
     copy.passengers = this.passengers.map((p) => p.clone());
 
     return copy;
   }
 
+  /**
+   * Restores a Display from its structured clone (e.g. posted from a worker).
+   * @param {object} data - Own fields of a Display, passengers included.
+   * @returns {Display}
+   */
+  static fromJSON(data) {
+    const display = Object.assign(Object.create(Display.prototype), data);
+    display.passengers = data.passengers.map((p) => Display.fromJSON(p));
+    return display;
+  }
+
   /**
    * Combines a base display and nested passengers into one display.
    * @param {Display[]} displays - First display is the base, rest are nested.
@@ -155,10 +192,42 @@ export class Display {
   /**
    * Sets the color code for text_display entities.
    * @param {string} hexColor - hex color string(RRGGBB).
+   * @param {number} [alpha=1] - background opacity (0 ~ 1).
+   */
+  setColor(hexColor, alpha = 1) {
+    const alphaHex = Math.round(Math.min(1, Math.max(0, alpha)) * 255)
+      .toString(16)
+      .padStart(2, "0");
+    this.colorCode = hexToSignedDword(`${alphaHex}${hexColor}`);
+    this.passengers.forEach((p) => p.setColor(hexColor, alpha));
+  }
+
+  /**
+   * Sets the target Minecraft version of the NBT output.
+   * @param {object} version - one of VERSIONS
+   */
+  setVersion(version) {
+    this.version = version;
+    this.passengers.forEach((p) => p.setVersion(version));
+  }
+
+  /**
+   * Sets the placement rotation and propagates to passengers.
+   * Passengers sit at the root position, so all of them turn around the same origin.
+   * @param {{yaw: number, pitch: number, roll: number}} orientation - degrees, see getRotationMatrix
+   */
+  setOrientation(orientation) {
+    this.orientation = { ...orientation };
+    this.passengers.forEach((p) => p.setOrientation(orientation));
+  }
+
+  /**
+   * Adds a scoreboard tag to the display and its passengers.
+   * @param {string} tag
    */
-  setColor(hexColor) {
-    this.colorCode = hexToSignedDword(`ff${hexColor}`);
-    this.passengers.forEach((p) => p.setColor(hexColor));
+  addTag(tag) {
+    if (!this.tags.includes(tag)) this.tags.push(tag);
+    this.passengers.forEach((p) => p.addTag(tag));
   }
 
   /**
@@ -180,23 +249,41 @@ export class Display {
 
   /**
    * Returns the 4x4 transformation matrix for the display.
-   * Includes scaling, translation, and optional inversion for text.
+   * Includes scaling, translation, optional inversion for text and the orientation.
+   * The layer offset is along local Z, so it follows the rotated normal.
    * @returns {number[][]} The transformation matrix.
    */
   getTransformation() {
+    const { yaw, pitch, roll } = this.orientation;
+    const matrix = this.getPlaneTransformation();
+    if (!yaw && !pitch && !roll) return matrix;
+
+    const rotation = getRotationMatrix(this.orientation).map((row) => [
+      ...row,
+      0,
+    ]);
+    return multiplyMatrix([...rotation, [0, 0, 0, 1]], matrix);
+  }
+
+  /**
+   * 4x4 transformation in the world XY plane (upright, facing south).
+   * @returns {number[][]}
+   */
+  getPlaneTransformation() {
+    const [scaleX, scaleY] = TEXT_SCALE;
     return this.type === "text_display"
       ? [
           [
-            this.sides[1][0] * 8,
-            this.sides[0][0] * 4,
+            this.sides[1][0] * scaleX,
+            this.sides[0][0] * scaleY,
             0,
-            this.translation[0] + 0.4 * this.sides[1][0],
+            this.translation[0] + TEXT_OFFSET * this.sides[1][0],
           ],
           [
-            -this.sides[1][1] * 8,
-            -this.sides[0][1] * 4,
+            -this.sides[1][1] * scaleX,
+            -this.sides[0][1] * scaleY,
             0,
-            -(this.translation[1] + 0.4 * this.sides[1][1]),
+            -(this.translation[1] + TEXT_OFFSET * this.sides[1][1]),
           ],
           [0, 0, this.depth * 1, this.getZOffset()],
           [0, 0, 0, 1],
@@ -236,6 +323,30 @@ export class Display {
     return [v0, v1, v2, v3];
   }
 
+  /**
+   * Returns the parallelograms of this display and all its passengers.
+   * @returns {[number, number][][]} vertices of each parallelogram (counterclockwise)
+   */
+  getAllVertices() {
+    return [
+      this.getVertices(),
+      ...this.passengers.flatMap((p) => p.getAllVertices()),
+    ];
+  }
+
+  /**
+   * Returns the bounding box of this display and all its passengers.
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getBBox() {
+    const vertices = this.getAllVertices().flat();
+    const xs = vertices.map((v) => v[0]);
+    const ys = vertices.map((v) => v[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
   /**
    * Recursively counts the total number of displays including passengers.
    * @returns {number} Total count.
@@ -252,27 +363,94 @@ export class Display {
    * @returns {string} The full summon command.
    */
   command(pos = ["~", "~", "~"]) {
-    return ["summon", this.type, pos.join(" "), stringifyLiteral(this.nbt())]
-      .join(" ")
-      .replaceAll(", ", ",")
-      .replaceAll(": ", ":");
+    return compact(
+      ["summon", this.type, pos.join(" "), stringifyLiteral(this.nbt())].join(
+        " "
+      )
+    );
+  }
+
+  /**
+   * Generates summon commands no longer than maxLength, to be run in order.
+   * The first command summons the root with as many passengers as fit.
+   * The rest summon the remaining passengers at the root (found by a generated tag),
+   * then mount them on the root with /ride.
+   * Passengers too large for one command are summoned apart from their own passengers,
+   * which ride the root directly: every passenger sits at the root position anyway.
+   * @param {number} maxLength
+   * @param {[number|"~", number|"~", number|"~"]} [pos=["~","~","~"]] - Position of the root.
+   * @returns {string[]} Just the command when it fits.
+   */
+  commands(maxLength, pos = ["~", "~", "~"]) {
+    const single = this.command(pos);
+    if (single.length <= maxLength) return [single];
+
+    const id = Math.random().toString(36).slice(2, 10);
+    const rootTag = `svgtodisplay_root_${id}`;
+    const partTag = `svgtodisplay_part_${id}`;
+    const prefix = `execute at @e[tag=${rootTag},limit=1] run `;
+    const atRoot = ["~", "~", "~"];
+
+    const root = this.clone();
+    root.tags.push(rootTag);
+    const units = root.passengers.flatMap((p) =>
+      splitPassenger(p, partTag, maxLength - prefix.length)
+    );
+    root.passengers = [];
+
+    // greedy packing: units ride the first unit of each part command
+    const chunks = [];
+    let carrier = root;
+    let length = root.command(pos).length;
+    for (const unit of units) {
+      const unitLength = compact(stringifyLiteral(unit.nbt())).length;
+      // "," before the unit, or ",Passengers:[]" around it
+      const extra = unitLength + (carrier.passengers.length > 0 ? 1 : 14);
+      const limit = carrier === root ? maxLength : maxLength - prefix.length;
+      if (length + extra <= limit) {
+        carrier.passengers.push(unit);
+        length += extra;
+      } else {
+        carrier = unit;
+        chunks.push(unit);
+        length = unit.command(atRoot).length;
+      }
+    }
+    // passengers summoned with the root need no remounting
+    root.passengers.forEach((p) => p.tags.splice(p.tags.indexOf(partTag), 1));
+
+    return [
+      root.command(pos),
+      ...chunks.map((chunk) => prefix + chunk.command(atRoot)),
+      `execute as @e[tag=${partTag}] run ride @s dismount`,
+      `execute as @e[tag=${partTag}] run ride @s mount @e[tag=${rootTag},limit=1]`,
+      `tag @e[tag=${partTag}] remove ${partTag}`,
+      `tag @e[tag=${rootTag}] remove ${rootTag}`,
+    ];
   }
 
   /**
    * Generates the NBT data structure representing this display.
+   * Values are typed where plain values are ambiguous (see NBTTag).
    * @returns {object} NBT-compatible object.
    */
   nbt() {
     const resultNBT = {
       id: this.type,
-      transformation: this.getTransformation().flat(),
+      transformation: nbt.list(TAG.Float, this.getTransformation().flat()),
     };
 
     if (this.type === "block_display") {
       resultNBT.block_state = this.state;
     } else {
-      resultNBT.background = this.colorCode;
-      resultNBT.text = "\\s";
+      resultNBT.background = nbt.int(this.colorCode);
+      // one space: "\s" escape of SNBT, or a JSON string before text components were NBT
+      resultNBT.text =
+        this.version.textComponent === "snbt" ? "\\s" : nbt.string('" "');
+    }
+
+    if (this.tags.length > 0) {
+      resultNBT.Tags = this.tags;
     }
 
     if (this.passengers.length > 0) {
@@ -283,6 +461,35 @@ export class Display {
   }
 }
 
+/**
+ * Removes the spaces of stringifyLiteral output.
+ * @param {string} text
+ * @returns {string}
+ */
+function compact(text) {
+  return text.replaceAll(", ", ",").replaceAll(": ", ":");
+}
+
+/**
+ * Detaches the passengers of a display whose summon command is over maxLength.
+ * Every returned display is tagged, to be mounted on the root later.
+ * @param {Display} display
+ * @param {string} tag
+ * @param {number} maxLength
+ * @returns {Display[]}
+ */
+function splitPassenger(display, tag, maxLength) {
+  display.tags.push(tag);
+  if (display.command().length <= maxLength) return [display];
+
+  const passengers = display.passengers;
+  display.passengers = [];
+  return [
+    display,
+    ...passengers.flatMap((p) => splitPassenger(p, tag, maxLength)),
+  ];
+}
+
 /**
  * Converts a triangle into 3 display entities representing parallelograms.
  * Each parallelogram covers one vertex and the two adjacent edges.
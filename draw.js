@@ -1,6 +1,45 @@
 import { Polygon } from "./polygon.js";
 import { Display } from "./display.js";
-import svgPathParser from "https://cdn.jsdelivr.net/npm/svg-path-parser@1.1.0/+esm";
+import { windingContours } from "./geometry.js";
+import { splitGradientBands } from "./gradient.js";
+import { getStrokeStyle, strokeToPolygons } from "./stroke.js";
+import { getElementMatrix, getMaxScale } from "./transform.js";
+import { flattenPath } from "./path.js";
+import { textToPathData } from "./text.js";
+import { parseRGBA } from "./utils.js";
+
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+// shape types converted to polygons
+const SHAPE_TYPES = [
+  "path",
+  "polygon",
+  "polyline",
+  "line",
+  "circle",
+  "ellipse",
+  "rect",
+  "text",
+];
+
+// nested clipPath / mask references deeper than this are ignored
+const MAX_CLIP_DEPTH = 8;
+
+// longest sampling run between yields to the page, in ms
+const SAMPLE_SLICE = 30;
+
+// elements whose children are never rendered directly
+const NON_RENDERED_TYPES = new Set([
+  "defs",
+  "symbol",
+  "clipPath",
+  "mask",
+  "marker",
+  "pattern",
+  "linearGradient",
+  "radialGradient",
+  "filter",
+]);
 
 /**
  * draw display
@@ -72,120 +111,670 @@ export function drawPolygon(draw, polygon, options = {}) {
   return elements;
 }
 
+/**
+ * draw filled area (multipolygon)
+ * @param {SVG.Container} draw
+ * @param {[number, number][][][]} area
+ * @param {{color:string, opacity:number}} [options={}]
+ * @returns {SVG.Path[]}
+ */
+export function drawArea(draw, area, options = {}) {
+  const { color = "#f00", opacity = 0.6 } = options;
+
+  return area.map((poly) => {
+    const d = poly
+      .map((ring) => `M${ring.map(([x, y]) => `${x},${y}`).join("L")}Z`)
+      .join("");
+    return draw
+      .path(d)
+      .fill({ color, opacity, rule: "evenodd" })
+      .stroke("none");
+  });
+}
+
 /**
  * convert svg paths to Polygon[]
+ * Runs on the main thread, unlike the later stages: computed styles, bounding boxes
+ * and svg.js need the DOM, which workers have none of. It yields every SAMPLE_SLICE ms
+ * instead, so the page stays responsive and shows the progress.
  * @param {SVG.Container} draw
- * @param {number} [sampleRate=2]
- * @returns {Polygon[]}
+ * @param {number} [tolerance=0.5] - max curve flattening error, in output units
+ * @param {{gradientBands:number, font:opentype.Font, onWarning:(message: string) => void,
+ *   onProgress:(done: number, total: number) => void, signal:AbortSignal}} [options={}]
+ * - onWarning: called with what could not be converted, e.g. <text> without a font.
+ * - onProgress: called per element, with the number sampled so far.
+ * - signal: rejects with its reason once aborted.
+ * @returns {Promise<Polygon[]>}
+ */
+export async function toPolygons(draw, tolerance = 0.5, options = {}) {
+  // sampled on a hidden copy, since expanding <use> rewrites the document.
+  // Computed styles need it in the page, at the same place as the original.
+  const copy = SVG(draw.node.cloneNode(true));
+  copy.node.removeAttribute("id");
+  copy.attr("visibility", "hidden");
+  draw.node.after(copy.node);
+  try {
+    return await sampleShapes(copy, tolerance, options);
+  } finally {
+    copy.remove();
+  }
+}
+
+/**
+ * toPolygons on a root that may be modified.
+ * @param {SVG.Container} draw
+ * @param {number} tolerance
+ * @param {object} options - options of toPolygons
+ * @returns {Promise<Polygon[]>}
  */
-export function toPolygons(draw, sampleRate = 2) {
+async function sampleShapes(draw, tolerance, options) {
+  const {
+    gradientBands = 8,
+    font = null,
+    onWarning = () => {},
+    onProgress = () => {},
+    signal,
+  } = options;
   const result = [];
 
-  // include basic shape types + path + polygon
-  const shapeSelectors = ["path", "polygon", "circle", "ellipse", "rect"];
-  const elements = shapeSelectors.flatMap((sel) => draw.find(sel));
-
-  for (let i = 0; i < elements.length; i++) {
-    const layer = i;
-    const el = elements[i];
-    const fillColor = getComputedFill(el);
-    if (!fillColor || fillColor === "none") continue;
-
-    const matrix = el.matrixify();
-    const subpaths = [];
-    const polys = [];
-    if (el.type === "path") {
-      const d = el.attr("d");
-      subpaths.push(...splitSubpaths(d));
-    } else {
-      // other shape types -> path
-      const pathified = el.toPath(false);
-      subpaths.push(...splitSubpaths(pathified.attr("d")));
-      pathified.remove();
+  // <use> -> inline copy of referenced content
+  expandUseElements(draw);
+
+  // include basic shape types + path + polygon + text (document order)
+  const elements = draw
+    .find(SHAPE_TYPES.join(", "))
+    .filter((el) => isRendered(el.node, draw.node));
+
+  if (!font && elements.some((el) => el.type === "text")) {
+    onWarning("<text> elements are skipped: no font file is loaded.");
+  }
+  const shapes = elements.flatMap((el) => getShapeSources(el, font));
+  const clipContext = { root: draw, tolerance, font, cache: new Map() };
+
+  let layer = 0;
+  let sliceStart = performance.now();
+  for (const [i, { el, paintEl, d }] of shapes.entries()) {
+    onProgress(i, shapes.length);
+    if (performance.now() - sliceStart > SAMPLE_SLICE) {
+      await new Promise((resolve) => setTimeout(resolve));
+      signal?.throwIfAborted();
+      sliceStart = performance.now();
     }
 
-    // path to poly
-    for (const subpath of subpaths) {
-      const tempPath = draw.path(subpath);
-      const polyfied = tempPath.toPoly(`${sampleRate}%`);
-      tempPath.remove();
-      const arr = polyfied.array();
-      if (arr.length < 3) continue;
-
-      const transformedPoints = arr.map((p) => {
-        const point = new SVG.Point(p[0], p[1]);
-        const transformedPoint = point.transform(matrix);
-        return [transformedPoint.x, transformedPoint.y];
-      });
+    // e.g. the tessellator rejects a degenerate path: only this shape is lost
+    try {
+      const fill = getComputedPaint(paintEl, draw.node, "fill");
+      const stroke = getComputedPaint(paintEl, draw.node, "stroke");
+      if (!fill && !stroke) continue;
+
+      // clip-path and mask of element and its ancestors
+      const clip = getClipArea(el, clipContext);
+      if (clip && clip.length === 0) continue;
+      const applyClip = (area) => (clip ? intersectArea(area, clip) : area);
+
+      const matrix = getElementMatrix(el, draw);
+      const opacity = getGroupOpacity(paintEl, draw);
+      const rings = flattenPathData(d, tolerance, matrix);
+      const transform = (points) => transformPoints(points, matrix);
+
+      if (fill) {
+        const polys = rings
+          .filter((ring) => ring.points.length >= 3)
+          .map((ring) => transform(ring.points));
+        const merged = applyClip(fillArea(polys, getFillRule(paintEl)));
+
+        result.push(
+          ...paintPolygons(fill, el, matrix, merged, {
+            layer: layer++,
+            opacity,
+            gradientBands,
+          })
+        );
+      }
 
-      polys.push(transformedPoints);
-      polyfied.remove();
+      if (stroke) {
+        // stroke is expanded in user space, so transforms also apply to its width
+        const outline = strokeToPolygons(rings, getStrokeStyle(paintEl)).map(
+          (poly) => poly.map(transform)
+        );
+
+        result.push(
+          ...paintPolygons(
+            stroke,
+            el,
+            matrix,
+            applyClip(sliceSamePoint(outline)),
+            {
+              layer: layer++,
+              opacity,
+              gradientBands,
+            }
+          )
+        );
+      }
+    } catch (error) {
+      console.warn(error);
+      onWarning("Some shapes could not be converted and are skipped.");
     }
+  }
+
+  // fully transparent area is not displayed
+  return result.filter((polygon) => polygon.alpha > 0);
+}
 
-    // xor merge
-    const merged = xorPolygon(polys);
+/**
+ * Flattens path data into polylines, in the user space of the path.
+ * @param {string} d
+ * @param {number} tolerance - max chord error, in output units
+ * @param {SVG.Matrix} matrix - user space to output space
+ * @returns {Array<{points: [number, number][], closed: boolean}>}
+ */
+function flattenPathData(d, tolerance, matrix) {
+  return flattenPath(d, tolerance / (getMaxScale(matrix) || 1));
+}
+
+/**
+ * @param {[number, number][]} points
+ * @param {SVG.Matrix} matrix
+ * @returns {[number, number][]}
+ */
+function transformPoints(points, matrix) {
+  return points.map((p) => {
+    const point = new SVG.Point(p[0], p[1]);
+    const transformedPoint = point.transform(matrix);
+    return [transformedPoint.x, transformedPoint.y];
+  });
+}
+
+/**
+ * Path data of element. <text> is split by the element that styles each run.
+ * @param {SVG.Element} el
+ * @param {opentype.Font | null} font
+ * @returns {Array<{el: SVG.Element, paintEl: SVG.Element, d: string}>}
+ */
+function getShapeSources(el, font) {
+  if (el.type === "path") return [{ el, paintEl: el, d: el.attr("d") }];
+
+  if (el.type === "text") {
+    if (!font) return [];
+    return textToPathData(el, font).map(({ node, d }) => ({
+      el,
+      paintEl: SVG(node),
+      d,
+    }));
+  }
+
+  // other shape types -> path
+  const pathified = el.toPath(false);
+  const d = pathified.attr("d");
+  pathified.remove();
+  return [{ el, paintEl: el, d }];
+}
+
+/**
+ * Replaces every <use> in container with a <g> holding a copy of the referenced content,
+ * so its geometry is converted at the placed position with inherited styles.
+ * @param {SVG.Container} container
+ */
+export function expandUseElements(container) {
+  const expand = (root, refStack) => {
+    for (const use of [...root.querySelectorAll("use")]) {
+      // <clipPath> accepts <use> but not <g>, so it is resolved by getClipArea
+      if (findAncestor(use, "clipPath")) continue;
+
+      const href =
+        use.getAttribute("href") ?? use.getAttributeNS(XLINK_NS, "href");
+      const id = href?.startsWith("#") ? href.slice(1) : null;
+      const ref = id ? findById(container.node, id) : null;
+      if (!ref || refStack.includes(id) || ref.contains(use)) {
+        use.remove();
+        continue;
+      }
 
-    // create Polygon instances
-    for (const poly of merged) {
-      const points = Polygon.removeColinear(poly[0]);
-      const holes = poly.slice(1).map((hole) => Polygon.removeColinear(hole));
-      result.push(new Polygon(points, holes, fillColor, layer));
+      const group = document.createElementNS(SVG.namespaces.svg, "g");
+      for (const { name, value } of [...use.attributes]) {
+        if (!["x", "y", "width", "height", "href", "xlink:href"].includes(name))
+          group.setAttribute(name, value);
+      }
+      const x = parseFloat(use.getAttribute("x")) || 0;
+      const y = parseFloat(use.getAttribute("y")) || 0;
+      group.setAttribute(
+        "transform",
+        `${use.getAttribute("transform") ?? ""} translate(${x}, ${y})`.trim()
+      );
+
+      group.appendChild(instantiateReference(ref, use));
+      use.replaceWith(group);
+      expand(group, [...refStack, id]);
     }
+  };
+
+  expand(container.node, []);
+}
+
+/**
+ * Looks up an id inside the loaded SVG only, not the page around it.
+ * @param {Element} root
+ * @param {string} id
+ * @returns {Element | null}
+ */
+function findById(root, id) {
+  return root.querySelector(`[id="${CSS.escape(id)}"]`);
+}
+
+/**
+ * Copy of <use> referenced element. <symbol> becomes nested <svg>.
+ * @param {Element} ref
+ * @param {Element} use
+ * @returns {Element}
+ */
+function instantiateReference(ref, use) {
+  let copy;
+  if (ref.localName === "symbol") {
+    copy = document.createElementNS(SVG.namespaces.svg, "svg");
+    for (const { name, value } of [...ref.attributes]) {
+      copy.setAttribute(name, value);
+    }
+    ref.childNodes.forEach((child) => copy.appendChild(child.cloneNode(true)));
+  } else {
+    copy = ref.cloneNode(true);
+  }
+  // ids stay unique: references inside the copy resolve to the original
+  copy.removeAttribute("id");
+  copy.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+
+  if (copy.localName === "svg") {
+    ["width", "height"].forEach((name) => {
+      if (use.hasAttribute(name))
+        copy.setAttribute(name, use.getAttribute(name));
+    });
+  }
+  return copy;
+}
+
+/**
+ * Whether node is rendered: not hidden and not inside defs, symbol, clipPath, etc.
+ * @param {Element} node
+ * @param {Element} root
+ * @returns {boolean}
+ */
+function isRendered(node, root) {
+  for (let curr = node; curr && curr !== root; curr = curr.parentNode) {
+    if (NON_RENDERED_TYPES.has(curr.localName)) return false;
+    if (window.getComputedStyle(curr).display === "none") return false;
+  }
+  return true;
+}
+
+/**
+ * @param {Element} node
+ * @param {string} localName
+ * @returns {Element | null} nearest ancestor with the name
+ */
+function findAncestor(node, localName) {
+  for (let curr = node.parentNode; curr; curr = curr.parentNode) {
+    if (curr.localName === localName) return curr;
   }
+  return null;
+}
+
+/**
+ * Returns the element referenced by the first url(#id) in values.
+ * @param {Element} root - loaded SVG, where ids are looked up
+ * @param {...string} values
+ * @returns {Element | null}
+ */
+function getReferencedElement(root, ...values) {
+  for (const value of values) {
+    const match = value?.match(/url\(\s*["']?[^#"')]*#([^"')]+)["']?\s*\)/);
+    if (match) return findById(root, match[1]);
+  }
+  return null;
+}
 
+/**
+ * Visible area of element in output space: clip-path and mask of element and its ancestors.
+ * @param {SVG.Element} el
+ * @param {{root: SVG.Container, tolerance: number, font: opentype.Font, cache: Map}} context
+ * @returns {[number, number][][][] | null} null if not clipped
+ */
+function getClipArea(el, context) {
+  let result = null;
+  for (let node = el.node; node; node = node.parentNode) {
+    if (!context.cache.has(node)) {
+      const target = SVG(node);
+      const matrix = getElementMatrix(target, context.root);
+      context.cache.set(node, getOwnClipArea(target, matrix, context));
+    }
+
+    const own = context.cache.get(node);
+    if (own) result = result ? intersectArea(result, own) : own;
+    if (node === context.root.node) break;
+  }
   return result;
 }
 
 /**
- * svgPathParser object to path string
- * @param {object[]} pathData
- * @returns {string}
- */
-function serializePathData(pathData) {
-  return pathData
-    .map((cmd) => {
-      const parts = [cmd.code];
-
-      switch (cmd.code) {
-        case "M":
-        case "L":
-        case "T":
-          parts.push(cmd.x, cmd.y);
-          break;
-        case "H":
-          parts.push(cmd.x);
-          break;
-        case "V":
-          parts.push(cmd.y);
-          break;
-        case "C":
-          parts.push(cmd.x1, cmd.y1, cmd.x2, cmd.y2, cmd.x, cmd.y);
-          break;
-        case "S":
-          parts.push(cmd.x2, cmd.y2, cmd.x, cmd.y);
-          break;
-        case "Q":
-          parts.push(cmd.x1, cmd.y1, cmd.x, cmd.y);
-          break;
-
-        case "A":
-          parts.push(
-            cmd.rx,
-            cmd.ry,
-            cmd.xAxisRotation,
-            cmd.largeArc ? 1 : 0,
-            cmd.sweep ? 1 : 0,
-            cmd.x,
-            cmd.y
-          );
-          break;
-        case "Z":
-          break;
+ * Area of clip-path and mask referenced by the element itself.
+ * @param {SVG.Element} target
+ * @param {SVG.Matrix} matrix - target user space to output space
+ * @param {object} context
+ * @returns {[number, number][][][] | null} null if not clipped
+ */
+function getOwnClipArea(target, matrix, context) {
+  const node = target.node;
+  const style = window.getComputedStyle(node);
+  const maskNode = getReferencedElement(
+    context.root.node,
+    style.maskImage,
+    style.mask,
+    node.getAttribute("mask")
+  );
+
+  let area = getClipPathArea(node, target, matrix, context, 0);
+  if (maskNode?.localName === "mask") {
+    const masked = maskArea(maskNode, target, matrix, context);
+    area = area ? intersectArea(area, masked) : masked;
+  }
+  return area;
+}
+
+/**
+ * Area of <clipPath> referenced by clip-path of node, applied to target.
+ * @param {Element} node - element with clip-path property
+ * @param {SVG.Element} target - element that defines bounding box
+ * @param {SVG.Matrix} matrix - target user space to output space
+ * @param {object} context
+ * @param {number} depth - nesting level of clipPath references
+ * @returns {[number, number][][][] | null} null if not clipped
+ */
+function getClipPathArea(node, target, matrix, context, depth) {
+  if (depth > MAX_CLIP_DEPTH) return null;
+
+  const clipNode = getReferencedElement(
+    context.root.node,
+    window.getComputedStyle(node).clipPath,
+    node.getAttribute("clip-path")
+  );
+  if (clipNode?.localName !== "clipPath") return null;
+
+  let contentMatrix = matrix;
+  if (clipNode.getAttribute("clipPathUnits") === "objectBoundingBox") {
+    contentMatrix = contentMatrix.multiply(getBBoxMatrix(target));
+  }
+
+  const clipEl = SVG(clipNode);
+  const areas = [];
+  for (const child of clipNode.children) {
+    if (window.getComputedStyle(child).display === "none") continue;
+
+    // <use> is resolved here: it is not expanded inside <clipPath>
+    let shapeEl = SVG(child);
+    let childMatrix = contentMatrix.multiply(getElementMatrix(shapeEl, clipEl));
+    if (child.localName === "use") {
+      const href =
+        child.getAttribute("href") ?? child.getAttributeNS(XLINK_NS, "href");
+      const ref = href?.startsWith("#")
+        ? findById(context.root.node, href.slice(1))
+        : null;
+      if (!ref) continue;
+
+      const x = parseFloat(child.getAttribute("x")) || 0;
+      const y = parseFloat(child.getAttribute("y")) || 0;
+      shapeEl = SVG(ref);
+      childMatrix = childMatrix
+        .multiply(new SVG.Matrix(1, 0, 0, 1, x, y))
+        .multiply(shapeEl.matrixify());
+    }
+    if (!SHAPE_TYPES.includes(shapeEl.type)) continue;
+
+    let area = shapeArea(shapeEl, childMatrix, context, "clipRule");
+    const childClip = getClipPathArea(
+      child,
+      shapeEl,
+      childMatrix,
+      context,
+      depth + 1
+    );
+    if (childClip) area = intersectArea(area, childClip);
+    areas.push(area);
+  }
+
+  // <clipPath> itself may be clipped, in the user space of target
+  let area = unionArea(areas);
+  const clipClip = getClipPathArea(
+    clipNode,
+    target,
+    matrix,
+    context,
+    depth + 1
+  );
+  if (clipClip) area = intersectArea(area, clipClip);
+  return area;
+}
+
+/**
+ * Area of <mask> applied to target. Mask content is thresholded:
+ * shapes at least half visible add area, others cut it.
+ * @param {Element} maskNode
+ * @param {SVG.Element} target
+ * @param {SVG.Matrix} matrix - target user space to output space
+ * @param {object} context
+ * @returns {[number, number][][][]}
+ */
+function maskArea(maskNode, target, matrix, context) {
+  const bboxMatrix = getBBoxMatrix(target);
+  const contentMatrix =
+    maskNode.getAttribute("maskContentUnits") === "objectBoundingBox"
+      ? matrix.multiply(bboxMatrix)
+      : matrix;
+  const useAlpha =
+    (maskNode.getAttribute("mask-type") ??
+      window.getComputedStyle(maskNode).maskType) === "alpha";
+
+  const maskEl = SVG(maskNode);
+  let area = [];
+  const children = maskEl
+    .find(SHAPE_TYPES.join(", "))
+    .filter((el) => isRendered(el.node, maskNode));
+  for (const el of children) {
+    const childMatrix = contentMatrix.multiply(getElementMatrix(el, maskEl));
+    for (const { paintEl, d } of getShapeSources(el, context.font)) {
+      const paint = getComputedPaint(paintEl, context.root.node, "fill");
+      if (!paint) continue;
+
+      // gradients are treated as fully white
+      const value =
+        paint.opacity *
+        getGroupOpacity(paintEl, maskEl) *
+        (useAlpha || paint.gradient ? 1 : luminance(paint.color));
+      const shape = fillArea(
+        flattenRings(context, d, childMatrix),
+        getFillRule(paintEl)
+      );
+      if (shape.length === 0) continue;
+
+      if (value >= 0.5) area = unionArea([area, shape]);
+      else if (area.length > 0) {
+        area = sliceSamePoint(polygonClipping.difference(area, shape));
       }
+    }
+  }
 
-      return parts.join(" ");
-    })
-    .join(" ");
+  // mask region
+  const region = readMaskRegion(maskNode);
+  if (!region) return area;
+  const regionMatrix = region.units ? matrix.multiply(bboxMatrix) : matrix;
+  const { x, y, width, height } = region;
+  const rect = [
+    [x, y],
+    [x + width, y],
+    [x + width, y + height],
+    [x, y + height],
+  ].map((p) => {
+    const point = new SVG.Point(p[0], p[1]).transform(regionMatrix);
+    return [point.x, point.y];
+  });
+  return intersectArea(area, [[rect]]);
+}
+
+/**
+ * Mask region in maskUnits. userSpaceOnUse region without explicit size is unbounded.
+ * @param {Element} maskNode
+ * @returns {{x: number, y: number, width: number, height: number, units: boolean} | null}
+ * units is true for objectBoundingBox, null if unbounded
+ */
+function readMaskRegion(maskNode) {
+  const units = maskNode.getAttribute("maskUnits") !== "userSpaceOnUse";
+  const defaults = { x: "-10%", y: "-10%", width: "120%", height: "120%" };
+  const region = { units };
+
+  for (const [name, fallback] of Object.entries(defaults)) {
+    const raw = maskNode.getAttribute(name) ?? (units ? fallback : null);
+    if (raw === null) return null;
+
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) return null;
+    region[name] = raw.trim().endsWith("%") ? value / 100 : value;
+    // percentages in userSpaceOnUse refer to the viewport
+    if (!units && raw.trim().endsWith("%")) return null;
+  }
+  return region;
+}
+
+/**
+ * Fill area of shape element in output space, ignoring its paint.
+ * @param {SVG.Element} el
+ * @param {SVG.Matrix} matrix - element user space to output space
+ * @param {object} context
+ * @param {"fillRule" | "clipRule"} ruleProperty
+ * @returns {[number, number][][][]}
+ */
+function shapeArea(el, matrix, context, ruleProperty) {
+  const areas = getShapeSources(el, context.font).map(({ paintEl, d }) =>
+    fillArea(
+      flattenRings(context, d, matrix),
+      getFillRule(paintEl, ruleProperty)
+    )
+  );
+  return unionArea(areas);
+}
+
+/**
+ * Flattened rings of path data in output space, open subpaths are closed.
+ * @param {{tolerance: number}} context
+ * @param {string} d
+ * @param {SVG.Matrix} matrix
+ * @returns {[number, number][][]}
+ */
+function flattenRings(context, d, matrix) {
+  return flattenPathData(d, context.tolerance, matrix)
+    .filter((ring) => ring.points.length >= 3)
+    .map((ring) => transformPoints(ring.points, matrix));
+}
+
+/**
+ * Maps the unit square onto bounding box of element.
+ * @param {SVG.Element} el
+ * @returns {SVG.Matrix}
+ */
+function getBBoxMatrix(el) {
+  const box = el.node.getBBox();
+  return new SVG.Matrix(box.width, 0, 0, box.height, box.x, box.y);
+}
+
+/**
+ * @param {[number, number][][][]} a
+ * @param {[number, number][][][]} b
+ * @returns {[number, number][][][]}
+ */
+function intersectArea(a, b) {
+  if (a.length === 0 || b.length === 0) return [];
+  return sliceSamePoint(polygonClipping.intersection(a, b));
+}
+
+/**
+ * @param {[number, number][][][][]} areas
+ * @returns {[number, number][][][]}
+ */
+function unionArea(areas) {
+  const nonEmpty = areas.filter((area) => area.length > 0);
+  if (nonEmpty.length === 0) return [];
+  return sliceSamePoint(polygonClipping.union(...nonEmpty));
+}
+
+/**
+ * Luminance used by luminance masks. Browsers weight the sRGB values directly,
+ * without linearizing them first.
+ * @param {string} hex - "rrggbb"
+ * @returns {number} 0 ~ 1
+ */
+function luminance(hex) {
+  const [r, g, b] = [0, 2, 4].map(
+    (i) => parseInt(hex.slice(i, i + 2), 16) / 255
+  );
+  return 0.2125 * r + 0.7154 * g + 0.0721 * b;
+}
+
+/**
+ * Polygons of painted area with solid color or gradient bands.
+ * @param {{color?: string, gradient?: Element, opacity: number}} paint
+ * @param {SVG.Element} el
+ * @param {SVG.Matrix} matrix
+ * @param {[number, number][][][]} area
+ * @param {{layer: number, opacity: number, gradientBands: number}} options
+ * @returns {Polygon[]}
+ */
+function paintPolygons(paint, el, matrix, area, options) {
+  const { layer, gradientBands } = options;
+  const alpha = paint.opacity * options.opacity;
+  if (!paint.gradient) return createPolygons(area, paint.color, layer, alpha);
+
+  // gradient -> solid color bands
+  const bands = splitGradientBands(
+    paint.gradient,
+    el,
+    matrix,
+    area,
+    gradientBands
+  );
+  return bands.flatMap((band) =>
+    createPolygons(
+      sliceSamePoint(band.area),
+      band.color,
+      layer,
+      alpha * band.opacity
+    )
+  );
+}
+
+/**
+ * create Polygon instances
+ * @param {[number, number][][][]} polygons
+ * @param {string} color
+ * @param {number} layer
+ * @param {number} [alpha=1]
+ * @returns {Polygon[]}
+ */
+function createPolygons(polygons, color, layer, alpha = 1) {
+  return polygons.map((poly) => {
+    const points = Polygon.removeColinear(poly[0]);
+    const holes = poly.slice(1).map((hole) => Polygon.removeColinear(hole));
+    return new Polygon(points, holes, color, layer, alpha);
+  });
+}
+
+/**
+ * Area filled by rings with fill-rule (or clip-rule).
+ * @param {[number, number][][]} polygons
+ * @param {"nonzero" | "evenodd"} fillRule
+ * @returns {[number, number][][][]}
+ */
+function fillArea(polygons, fillRule) {
+  if (fillRule === "evenodd") return xorPolygon(polygons);
+
+  // nonzero: boundaries of the winding area never cross, so xor only nests holes
+  return xorPolygon(windingContours(polygons, "nonzero"));
 }
 
 /**
@@ -223,42 +812,6 @@ function sliceSamePoint(polygons) {
   );
 }
 
-/**
- * Splits subpaths from a path string using the svg-path-parser library.
- * The returned subpaths are standalone (start with absolute 'M') and sanitized.
- * @param {string} d
- * @returns {string[]}
- */
-function splitSubpaths(d) {
-  if (typeof d !== "string" || d.trim() === "") return [];
-
-  try {
-    const parsed = svgPathParser.parseSVG(d);
-
-    svgPathParser.makeAbsolute(parsed);
-
-    const result = [];
-    let currentSubpathData = [];
-
-    for (const cmd of parsed) {
-      if (cmd.code === "M" && currentSubpathData.length > 0) {
-        result.push(serializePathData(currentSubpathData));
-        currentSubpathData = [];
-      }
-      currentSubpathData.push(cmd);
-    }
-
-    if (currentSubpathData.length > 0) {
-      result.push(serializePathData(currentSubpathData));
-    }
-
-    return result;
-  } catch (error) {
-    console.error("Failed to parse or split the SVG path:", error);
-    return [];
-  }
-}
-
 function rgbToHex(rgb) {
   const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
   if (!match) return rgb;
@@ -270,8 +823,63 @@ function rgbToHex(rgb) {
   return `${r}${g}${b}`.toLowerCase();
 }
 
-function getComputedFill(el) {
+/**
+ * Returns computed fill-rule (or clip-rule) of element.
+ * @param {SVG.Element} el
+ * @param {"fillRule" | "clipRule"} [property="fillRule"]
+ * @returns {"nonzero" | "evenodd"}
+ */
+function getFillRule(el, property = "fillRule") {
+  const rule = window.getComputedStyle(el.node)[property];
+  return rule === "evenodd" ? "evenodd" : "nonzero";
+}
+
+/**
+ * Returns solid color or gradient element of the computed paint.
+ * opacity includes fill-opacity (stroke-opacity) and alpha of the color.
+ * @param {SVG.Element} el
+ * @param {Element} root - loaded SVG, where paint servers are looked up
+ * @param {"fill" | "stroke"} [property="fill"]
+ * @returns {{color?: string, gradient?: Element, opacity: number} | null} null if not painted
+ */
+function getComputedPaint(el, root, property = "fill") {
   const node = el.node;
-  const fill = window.getComputedStyle(node).fill;
-  return rgbToHex(fill);
+  const style = window.getComputedStyle(node);
+  const paint = style[property];
+  if (!paint || paint === "none") return null;
+
+  const paintOpacity = parseFloat(style[`${property}Opacity`]);
+  const opacity = Number.isFinite(paintOpacity) ? paintOpacity : 1;
+  const solid = (color) => ({
+    color: rgbToHex(color),
+    opacity: opacity * (parseRGBA(color)?.alpha ?? 1),
+  });
+
+  const url = paint.match(/url\(\s*["']?[^#"')]*#([^"')]+)["']?\s*\)\s*(.*)$/);
+  if (!url) return solid(paint);
+
+  const ref = findById(root, url[1]);
+  if (ref && /^(linear|radial)Gradient$/.test(ref.localName)) {
+    return { gradient: ref, opacity };
+  }
+  // unsupported paint server -> fallback color
+  const fallback = url[2].trim();
+  if (!fallback || fallback === "none") return null;
+  return solid(fallback);
+}
+
+/**
+ * Product of opacity of element and its ancestors up to root.
+ * @param {SVG.Element} el
+ * @param {SVG.Element} root
+ * @returns {number}
+ */
+function getGroupOpacity(el, root) {
+  let opacity = 1;
+  for (let node = el.node; node; node = node.parentNode) {
+    const value = parseFloat(window.getComputedStyle(node).opacity);
+    if (Number.isFinite(value)) opacity *= value;
+    if (node === root.node) break;
+  }
+  return opacity;
 }
@@ -5,29 +5,319 @@ import { vec2 } from "./utils.js";
 /**
  * Polygon to Display
  * @param {Polygon} polygon
- * @returns {Display}
+ * @param {{optimize: "speed" | "count"}} [options={}]
+ * - speed: fast decomposition.
+ * - count: fewer displays, slow convert speed.
+ * @returns {Display | null} null if no piece converts
  */
-export function toDisplay(polygon) {
+export function toDisplay(polygon, options = {}) {
+  const { optimize = "speed" } = options;
+  const convert = optimize === "count" ? convexToDisplay_slow : convexToDisplay;
+
   if (polygon.points < 3) return null;
-  const convexes = convexDecomposition(polygon);
+  // a parallelogram (e.g. merged pixels) needs no triangulation
+  const convexes = polygon.isParallelogram()
+    ? [polygon]
+    : convexDecomposition(polygon);
   const displays = convexes.reduce((acc, convex) => {
     try {
-      const result = convexToDisplay(convex, polygon);
+      const result = convert(convex, polygon);
       acc.push(result);
     } catch (error) {
       console.warn(error);
     }
     return acc;
   }, []);
+  if (displays.length === 0) return null;
 
   const result = Display.nestedDisplay(displays);
 
-  result.setColor(polygon.color);
+  result.setColor(polygon.color, polygon.alpha);
   result.setLayer(polygon.layer);
 
   return result;
 }
 
+/**
+ * Compares the area covered by displays with their source polygons, per color.
+ * @param {Array<{polygon: Polygon, display: Display}>} results
+ * @param {Polygon[]} [reference] - source to compare with, polygons of results by default
+ * @returns {{sourceArea: number, overArea: number, underArea: number,
+ *   over: [number, number][][][], under: [number, number][][][]} | null}
+ * over: covered by displays outside the source, under: source area left uncovered.
+ * null if polygon-clipping fails.
+ */
+export function measureCoverage(
+  results,
+  reference = results.map((result) => result.polygon)
+) {
+  if (reference.length === 0) return null;
+
+  // snap to grid: float noise of parallelogram corners breaks polygon-clipping
+  const [minX, minY, maxX, maxY] = getBounds(
+    reference.map((polygon) => [polygon.points])
+  );
+  const grid = Math.max(maxX - minX, maxY - minY) * 1e-9;
+
+  const byColor = new Map();
+  const getGroup = ({ color, alpha }) => {
+    const key = `${color}/${alpha}`;
+    if (!byColor.has(key)) byColor.set(key, { sources: [], covers: [] });
+    return byColor.get(key);
+  };
+  reference.forEach((polygon) => {
+    getGroup(polygon).sources.push([
+      [polygon.points, ...polygon.holes].map((ring) => snapRing(ring, grid)),
+    ]);
+  });
+  results.forEach(({ polygon, display }) => {
+    getGroup(polygon).covers.push(
+      ...display.getAllVertices().map((v) => [[snapRing(v, grid)]])
+    );
+  });
+
+  const coverage = {
+    sourceArea: 0,
+    overArea: 0,
+    underArea: 0,
+    over: [],
+    under: [],
+  };
+  // a color may be missing on either side
+  const union = (geoms) =>
+    geoms.length > 0 ? sliceSamePoint(polygonClipping.union(...geoms)) : [];
+  try {
+    for (const { sources, covers } of byColor.values()) {
+      const source = union(sources);
+      const cover = union(covers);
+      const over = safeClip("difference", cover, source);
+      const under = safeClip("difference", source, cover);
+      if (!over || !under) return null;
+
+      coverage.sourceArea += getMultiPolygonArea(source);
+      coverage.overArea += getMultiPolygonArea(over);
+      coverage.underArea += getMultiPolygonArea(under);
+      coverage.over.push(...over);
+      coverage.under.push(...under);
+    }
+  } catch {
+    return null;
+  }
+  return coverage;
+}
+
+/**
+ * Unions touching or overlapping polygons of the same color (and opacity),
+ * as long as no polygon of another color between their layers overlaps them.
+ * Merged polygon takes the layer of its topmost part.
+ * @param {Polygon[]} polygons
+ * @returns {Polygon[]}
+ */
+export function mergeSameColor(polygons) {
+  const sorted = [...polygons].sort((a, b) => a.layer - b.layer);
+  /** @type {Array<{color: string, alpha: number, layer: number, area: [number, number][][][], bounds: number[]}>} */
+  const groups = [];
+
+  for (const polygon of sorted) {
+    const area = [[polygon.points, ...polygon.holes]];
+    const bounds = getBounds(area);
+    const isSameColor = (group) =>
+      group.color === polygon.color && group.alpha === polygon.alpha;
+
+    // other colors stacked above the candidate group, walking down
+    const blockers = [];
+    // every touching group is united, so a polygon can bridge several of them
+    let target = null;
+    for (let i = groups.length - 1; i >= 0; i--) {
+      const group = groups[i];
+      if (!isSameColor(group)) {
+        blockers.push(group);
+        continue;
+      }
+      const merged = target ?? { area, bounds };
+      if (!boundsTouch(group.bounds, merged.bounds)) continue;
+      // merging lifts the group above the blockers
+      if (blockers.some((blocker) => overlaps(blocker, group))) continue;
+      // translucent overlap would lose its double opacity
+      if (polygon.alpha < 1 && overlaps(group, merged)) continue;
+
+      const union = safeClip("union", group.area, merged.area);
+      // touching: fewer pieces than before
+      if (union && union.length < group.area.length + merged.area.length) {
+        groups.splice(i, 1);
+        target = {
+          ...group,
+          layer: polygon.layer,
+          area: union,
+          bounds: getBounds(union),
+        };
+      }
+    }
+
+    target ??= {
+      color: polygon.color,
+      alpha: polygon.alpha,
+      layer: polygon.layer,
+      area,
+    };
+    target.bounds = getBounds(target.area);
+    groups.push(target);
+  }
+
+  return groups.flatMap(({ color, alpha, layer, area }) =>
+    area.map(
+      ([outer, ...holes]) => new Polygon(outer, holes, color, layer, alpha)
+    )
+  );
+}
+
+/**
+ * Removes polygons below the minimum feature size.
+ * A sliver touching a same-colored polygon is absorbed into it, otherwise dropped.
+ * Absorbing moves the sliver to the layer of that polygon, so it is only done
+ * when no polygon of another color between the two layers overlaps the sliver.
+ * @param {Polygon[]} polygons
+ * @param {{minArea: number, minThickness: number}} options
+ * - minThickness: compared with 2 * area / perimeter (about the width of a long strip).
+ * @returns {{polygons: Polygon[], removedArea: number}}
+ */
+export function removeSlivers(polygons, { minArea = 0, minThickness = 0 }) {
+  const slivers = [];
+  const kept = [];
+  polygons.forEach((polygon) =>
+    (isSliver(polygon, minArea, minThickness) ? slivers : kept).push(polygon)
+  );
+  const toShape = ({ points, holes }) => {
+    const area = [[points, ...holes]];
+    return { area, bounds: getBounds(area) };
+  };
+
+  let removedArea = 0;
+  for (const sliver of slivers) {
+    const shape = toShape(sliver);
+    const isBlocked = (layer) => {
+      const [low, high] = [layer, sliver.layer].sort((a, b) => a - b);
+      return polygons.some(
+        (other) =>
+          other.layer > low &&
+          other.layer < high &&
+          (other.color !== sliver.color || other.alpha !== sliver.alpha) &&
+          overlaps(toShape(other), shape)
+      );
+    };
+
+    // nearest layers first
+    const candidates = kept
+      .map((_, i) => i)
+      .filter(
+        (i) =>
+          kept[i].color === sliver.color &&
+          kept[i].alpha === sliver.alpha &&
+          boundsTouch(getBounds([[kept[i].points]]), shape.bounds)
+      )
+      .sort(
+        (a, b) =>
+          Math.abs(kept[a].layer - sliver.layer) -
+          Math.abs(kept[b].layer - sliver.layer)
+      );
+
+    let absorbed = false;
+    for (const i of candidates) {
+      const { color, layer, alpha, points, holes } = kept[i];
+      if (isBlocked(layer)) continue;
+
+      const union = safeClip("union", [[points, ...holes]], shape.area);
+      // touching: one piece
+      if (union?.length === 1) {
+        const [[outer, ...unionHoles]] = union;
+        kept[i] = new Polygon(outer, unionHoles, color, layer, alpha);
+        absorbed = true;
+        break;
+      }
+    }
+    if (!absorbed) removedArea += sliver.getArea();
+  }
+
+  return { polygons: kept, removedArea };
+}
+
+/**
+ * @param {Polygon} polygon
+ * @param {number} minArea
+ * @param {number} minThickness
+ * @returns {boolean}
+ */
+function isSliver(polygon, minArea, minThickness) {
+  const area = polygon.getArea();
+  if (area < minArea) return true;
+  return minThickness > 0 && (2 * area) / polygon.getPerimeter() < minThickness;
+}
+
+/**
+ * @param {[number, number][][][]} multipolygon
+ * @returns {[number, number, number, number]} [minX, minY, maxX, maxY]
+ */
+function getBounds(multipolygon) {
+  const points = multipolygon.flat(2);
+  const xs = points.map((p) => p[0]);
+  const ys = points.map((p) => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean} whether bounds overlap or touch
+ */
+function boundsTouch(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+/**
+ * @param {{area: [number, number][][][], bounds: number[]}} a
+ * @param {{area: [number, number][][][], bounds: number[]}} b
+ * @returns {boolean} whether interiors overlap (failed clipping counts as overlap)
+ */
+function overlaps(a, b) {
+  if (!boundsTouch(a.bounds, b.bounds)) return false;
+  const common = safeClip("intersection", a.area, b.area);
+  return !common || getMultiPolygonArea(common) > 0;
+}
+
+/**
+ * Removes area hidden under opaque polygons of higher layers.
+ * Opaque results do not overlap each other any more, so they are moved to layer 0.
+ * Translucent polygons keep their layer: area under them is still visible.
+ * @param {Polygon[]} polygons
+ * @returns {Polygon[]}
+ */
+export function flattenOcclusion(polygons) {
+  const sorted = [...polygons].sort((a, b) => b.layer - a.layer);
+  const result = [];
+  let occluder = [];
+
+  for (const polygon of sorted) {
+    const area = [[polygon.points, ...polygon.holes]];
+    const visible = safeClip("difference", area, occluder) ?? area;
+    const opaque = polygon.alpha >= 1;
+
+    visible.forEach(([outer, ...holes]) => {
+      result.push(
+        new Polygon(
+          outer,
+          holes,
+          polygon.color,
+          opaque ? 0 : polygon.layer,
+          polygon.alpha
+        )
+      );
+    });
+    if (opaque) occluder = safeClip("union", occluder, area) ?? occluder;
+  }
+
+  return result.reverse();
+}
+
 /**
  * slice if polygon[0] == polygon[-1]
  * @param {[number, number][][][]} polygons
@@ -116,6 +406,55 @@ function triangulate(contours) {
   return triangleVerts;
 }
 
+/**
+ * Returns boundary contours of the area filled by the winding rule.
+ * Contours do not intersect each other (outlines counterclockwise, holes clockwise).
+ * @param {[number, number][][]} rings
+ * @param {"nonzero" | "evenodd"} [fillRule="nonzero"]
+ * @returns {[number, number][][]}
+ */
+export function windingContours(rings, fillRule = "nonzero") {
+  const tessy = new libtess.GluTesselator();
+  const contours = [];
+
+  tessy.gluTessProperty(
+    libtess.gluEnum.GLU_TESS_WINDING_RULE,
+    fillRule === "evenodd"
+      ? libtess.windingRule.GLU_TESS_WINDING_ODD
+      : libtess.windingRule.GLU_TESS_WINDING_NONZERO
+  );
+  tessy.gluTessProperty(libtess.gluEnum.GLU_TESS_BOUNDARY_ONLY, true);
+
+  tessy.gluTessCallback(libtess.gluEnum.GLU_TESS_BEGIN, () => {
+    contours.push([]);
+  });
+  tessy.gluTessCallback(libtess.gluEnum.GLU_TESS_VERTEX, (data) => {
+    contours[contours.length - 1].push([data[0], data[1]]);
+  });
+  tessy.gluTessCallback(libtess.gluEnum.GLU_TESS_ERROR, (err) => {
+    throw new Error("Tessellation error " + err);
+  });
+  tessy.gluTessCallback(libtess.gluEnum.GLU_TESS_COMBINE, (coords, _, __) => [
+    coords[0],
+    coords[1],
+    coords[2],
+  ]);
+  tessy.gluTessNormal(0, 0, 1);
+
+  tessy.gluTessBeginPolygon(contours);
+  for (const ring of rings) {
+    tessy.gluTessBeginContour();
+    for (const [x, y] of ring) {
+      const coords = [x, y, 0];
+      tessy.gluTessVertex(coords, coords);
+    }
+    tessy.gluTessEndContour();
+  }
+  tessy.gluTessEndPolygon();
+
+  return contours.filter((contour) => contour.length >= 3);
+}
+
 /**
  * Polygons to triangles points
  * @param {Polygon[]} polygons
@@ -141,41 +480,11 @@ function toTriangles(polygons) {
   );
 }
 
-/**
- * merge A and B and remove shared side
- * @param {Polygon} polyA
- * @param {Polygon} polyB
- * @param {[[number, number], [number, number]]} shared
- * @returns {Polygon}
- */
-function mergePolygons(polyA, polyB, shared) {
-  const [s0, s1] = shared;
-  const lenPolyA = polyA.points.length;
-  const idxPolyAs0 = polyA.points.findIndex((p) => vec2.equal(p, s0));
-  const idxPolyAs1 = polyA.points.findIndex((p) => vec2.equal(p, s1));
-  const idxPolyBs0 = polyB.points.findIndex((p) => vec2.equal(p, s0));
-  const idxPolyBs1 = polyB.points.findIndex((p) => vec2.equal(p, s1));
-
-  let idxPolyAFirst = idxPolyAs0;
-  let idxPolyBSecond = idxPolyBs1;
-
-  // if order s0 -> s1
-  if ((idxPolyAs0 + 1) % lenPolyA === idxPolyAs1) {
-    idxPolyAFirst = idxPolyAs1;
-    idxPolyBSecond = idxPolyBs0;
-  }
-
-  const merged = polyA.points
-    .slice(idxPolyAFirst + 1)
-    .concat(polyA.points.slice(0, idxPolyAFirst))
-    .concat(polyB.points.slice(idxPolyBSecond + 1))
-    .concat(polyB.points.slice(0, idxPolyBSecond));
-
-  return new Polygon(merged, [], polyA.color);
-}
-
 /**
  * Returns convex polygons using Hertel-Mehlhorn Convex Decomposition.
+ * Triangles are linked by an edge-to-piece map, so each diagonal is tested once:
+ * it is removed if both of its end vertices stay convex.
+ * A rejected diagonal never becomes removable, merging only widens angles.
  * @param {Polygon} polygon
  * @returns {Polygon[]}
  */
@@ -183,44 +492,81 @@ function convexDecomposition(polygon) {
   const input = polygon.clone();
   if (input.isTriangle() || input.isConvex()) return [input];
 
-  /** @type {Polygon[]} */
-  let polygons = toTriangles([input]); // triangle decomposition
-  while (true) {
-    let merged = false;
-
-    outer: for (let i = 0; i < polygons.length; i++) {
-      for (let j = i + 1; j < polygons.length; j++) {
-        const polyA = polygons[i];
-        const polyB = polygons[j];
-
-        // check both poly has shared side
-        const shared = [];
-        for (const p1 of polyA.points) {
-          for (const p2 of polyB.points) {
-            if (vec2.equal(p1, p2)) shared.push(p1);
-          }
-        }
-        if (shared.length !== 2) continue;
-
-        const mergeCandidate = mergePolygons(polyA, polyB, shared);
-
-        if (mergeCandidate.isConvex()) {
-          const mergedPoly = mergeCandidate.simplify();
-          // merge complete: remove poly A,B / push merged polygon
-          polygons.splice(j, 1);
-          polygons.splice(i, 1);
-          polygons.push(mergedPoly);
-          merged = true;
+  // shared vertices of the tessellation have identical coordinates
+  const vertices = [];
+  const vertexIds = new Map();
+  const getVertexId = (point) => {
+    const key = `${point[0]},${point[1]}`;
+    if (!vertexIds.has(key)) {
+      vertexIds.set(key, vertices.length);
+      vertices.push(point);
+    }
+    return vertexIds.get(key);
+  };
+
+  /** @type {Map<number, number[]>} piece id -> vertex ids (counterclockwise) */
+  const pieces = new Map();
+  /** @type {Map<string, number>} directed edge "a,b" -> piece id */
+  const edgeOwner = new Map();
+  toTriangles([input]).forEach((triangle, id) => {
+    const ids = triangle.points.map(getVertexId);
+    pieces.set(id, ids);
+    ids.forEach((a, i) => edgeOwner.set(`${a},${ids[(i + 1) % 3]}`, id));
+  });
 
-          break outer;
-        }
-      }
+  // interior edges: both directions are owned.
+  // Tested in triangle order, like the pairwise scan this replaced.
+  const diagonals = [];
+  for (const [edge, p] of edgeOwner) {
+    const [a, b] = edge.split(",").map(Number);
+    const q = edgeOwner.get(`${b},${a}`);
+    if (q !== undefined && p < q) diagonals.push({ a, b, order: [p, q] });
+  }
+  diagonals.sort((x, y) => x.order[0] - y.order[0] || x.order[1] - y.order[1]);
+  // a vertex can repeat in a piece (holes touching the outline), so edges are found by both ends
+  const edgeIndex = (ids, a, b) =>
+    ids.findIndex((v, i) => v === a && ids[(i + 1) % ids.length] === b);
+
+  for (const { a, b } of diagonals) {
+    const p = edgeOwner.get(`${a},${b}`);
+    const q = edgeOwner.get(`${b},${a}`);
+    const pieceP = pieces.get(p);
+    const pieceQ = pieces.get(q);
+
+    // P: ... prevA, a, b, nextB ...   Q: ... prevB, b, a, nextA ...
+    const iP = edgeIndex(pieceP, a, b);
+    const iQ = edgeIndex(pieceQ, b, a);
+    const prevA = vertices[pieceP.at(iP - 1)];
+    const nextB = vertices[pieceP[(iP + 2) % pieceP.length]];
+    const prevB = vertices[pieceQ.at(iQ - 1)];
+    const nextA = vertices[pieceQ[(iQ + 2) % pieceQ.length]];
+    if (
+      Polygon.isReflex(prevA, vertices[a], nextA) ||
+      Polygon.isReflex(prevB, vertices[b], nextB)
+    ) {
+      continue;
     }
 
-    if (!merged) break;
+    // merged: P from b around to a, then Q from nextA around to prevB
+    const rotate = (ids, start) => ids.slice(start).concat(ids.slice(0, start));
+    const merged = rotate(pieceP, (iP + 1) % pieceP.length).concat(
+      rotate(pieceQ, (iQ + 2) % pieceQ.length).slice(0, -2)
+    );
+    // keep the larger id, relink edges of the smaller piece
+    const [keep, drop] = pieceP.length >= pieceQ.length ? [p, q] : [q, p];
+    pieces.get(drop).forEach((v, i, ids) => {
+      edgeOwner.set(`${v},${ids[(i + 1) % ids.length]}`, keep);
+    });
+    edgeOwner.delete(`${a},${b}`);
+    edgeOwner.delete(`${b},${a}`);
+    pieces.delete(drop);
+    pieces.set(keep, merged);
   }
 
-  return polygons;
+  return [...pieces.values()].map((ids) => {
+    const piece = new Polygon(ids.map((id) => vertices[id]));
+    return ids.length > 3 ? piece.simplify() : piece;
+  });
 }
 
 /**
@@ -301,52 +647,41 @@ function convexToDisplay(polygon, boundaryPolygon = polygon) {
   return Display.nestedDisplay(resultDisplays);
 }
 
+// about 3 seconds per piece at 20 vertices, 8 at 24
+const MAX_SLOW_VERTICES = 20;
+
 /**
  * Returns Display(Parallelogram) from convex polygon.
  * - Highly optimized display count, slow convert speed.
- * - FIXME: DO NOT USE POLYGON BOOLEAN OPERATION
+ * - Greedy cover: picks the parallelogram covering the most uncovered area.
+ *   Falls back to convexToDisplay when it would not use fewer displays.
+ * - Candidates grow with the cube of the vertex count, so pieces over
+ *   MAX_SLOW_VERTICES (e.g. finely sampled circles) use convexToDisplay.
  * @param {Polygon} polygon
  * @param {Polygon} [boundaryPolygon=polygon]
  * @returns {Display}
- * @deprecated This function is in development.
  */
 function convexToDisplay_slow(polygon, boundaryPolygon = polygon) {
-  const totalArea = polygon.getArea();
-  const EPSILON = totalArea * 1e-5;
-
-  if (polygon.isTriangle()) {
-    const [p0, p1, p2] = polygon.points;
-    const pA = vec2.add(p0, vec2.sub(p1, p2));
-    const pB = vec2.add(p1, vec2.sub(p2, p0));
-    const pC = vec2.add(p2, vec2.sub(p0, p1));
-
-    if (
-      boundaryPolygon.isSegmentInside(pA, p0) &&
-      boundaryPolygon.isSegmentInside(pA, p1)
-    )
-      return new Display(p0, [vec2.sub(p2, p0), vec2.sub(pA, p0)]);
-    else if (
-      boundaryPolygon.isSegmentInside(pB, p1) &&
-      boundaryPolygon.isSegmentInside(pB, p2)
-    )
-      return new Display(p1, [vec2.sub(p0, p1), vec2.sub(pB, p1)]);
-    else if (
-      boundaryPolygon.isSegmentInside(pC, p2) &&
-      boundaryPolygon.isSegmentInside(pC, p0)
-    )
-      return new Display(p2, [vec2.sub(p1, p2), vec2.sub(pC, p2)]);
-    else return Display.nestedDisplay(triangleToDisplays(polygon.points));
-  }
-  if (polygon.isParallelogram()) {
-    const [p0, p1, p2, _] = polygon.points;
-    return new Display(p1, [vec2.sub(p0, p1), vec2.sub(p2, p1)]);
-  }
+  if (
+    polygon.isTriangle() ||
+    polygon.isParallelogram() ||
+    polygon.points.length > MAX_SLOW_VERTICES
+  )
+    return convexToDisplay(polygon, boundaryPolygon);
   if (!polygon.isConvex())
     throw new Error("Convex to Displays ERROR: input polygon is not convex.");
 
+  const fast = convexToDisplay(polygon, boundaryPolygon);
+  const totalArea = polygon.getArea();
+  const EPSILON = totalArea * 1e-5;
+  // snap to grid: float noise of parallelogram corners breaks polygon-clipping
+  const grid = Math.sqrt(totalArea) * 1e-9;
+  const snap = (ring) => snapRing(ring, grid);
+  const target = [[snap(polygon.points)]];
+
   // make possible parallelograms
   const length = polygon.points.length;
-  /** @type {Array<{display: Display, coverArea:number}>} */
+  /** @type {Array<{display: Display, coverArea: number}>} */
   const subsets = [];
   for (let i = 0; i < length; i++) {
     for (let j = i + 1; j < length; j++) {
@@ -381,29 +716,27 @@ function convexToDisplay_slow(polygon, boundaryPolygon = polygon) {
         }
 
         displays.forEach((display) => {
-          const area = Polygon.getSimpleArea(
-            sliceSamePoint(
-              polygonClipping.intersection(
-                [display.getVertices()],
-                [polygon.points]
-              )
-            )[0][0]
+          // covered part of this convex polygon
+          const cover = safeClip(
+            "intersection",
+            [[snap(display.getVertices())]],
+            target
           );
-          subsets.push({
-            display: display,
-            coverArea: area,
-          });
+          if (!cover) return;
+          const coverArea = getMultiPolygonArea(cover);
+          if (coverArea > EPSILON) subsets.push({ display, cover, coverArea });
         });
       }
     }
   }
 
   // Filling polygons from a large area
-  let remainArea = polygon.getArea();
   let mergedArea = [];
+  let remainArea = totalArea;
   const resultDisplays = [];
-  while (remainArea > EPSILON) {
-    if (subsets.length === 0) break;
+  while (remainArea > EPSILON && subsets.length > 0) {
+    // no greedy result can beat the fast decomposition any more
+    if (resultDisplays.length >= fast.getTotalDisplayCount()) return fast;
 
     // get widest parallelogram
     const widestIdx = subsets.reduce(
@@ -412,33 +745,71 @@ function convexToDisplay_slow(polygon, boundaryPolygon = polygon) {
       0
     );
     const [widest] = subsets.splice(widestIdx, 1);
+    if (widest.coverArea <= EPSILON) break;
 
-    //
-    mergedArea = sliceSamePoint(
-      polygonClipping.union(mergedArea.length === 0 ? [] : mergedArea, [
-        widest.display.getVertices(),
-      ])
-    );
-
+    mergedArea = safeClip("union", mergedArea, widest.cover);
+    if (!mergedArea) return fast;
+    mergedArea = mergedArea.map((poly) => poly.map(snap));
     resultDisplays.push(widest.display);
+    remainArea = totalArea - getMultiPolygonArea(mergedArea);
 
     // update subset cover area
     subsets.forEach((subset) => {
-      const subsetArea = sliceSamePoint(
-        polygonClipping.intersection(
-          [subset.display.getVertices()],
-          [polygon.points]
-        )
-      );
-      subset.coverArea = Polygon.getSimpleArea(
-        sliceSamePoint(
-          polygonClipping.difference(subsetArea, mergedArea)
-        )?.[0]?.[0] || []
-      );
+      const uncovered = safeClip("difference", subset.cover, mergedArea);
+      subset.coverArea = uncovered ? getMultiPolygonArea(uncovered) : 0;
     });
-
-    remainArea -= widest.coverArea;
   }
 
+  if (
+    remainArea > EPSILON ||
+    resultDisplays.length >= fast.getTotalDisplayCount()
+  )
+    return fast;
   return Display.nestedDisplay(resultDisplays);
 }
+
+/**
+ * Rounds coordinates to multiples of grid.
+ * @param {[number, number][]} ring
+ * @param {number} grid
+ * @returns {[number, number][]}
+ */
+function snapRing(ring, grid) {
+  return ring.map((p) => p.map((v) => Math.round(v / grid) * grid));
+}
+
+/**
+ * polygon-clipping operation without closing points and empty rings.
+ * @param {"union" | "intersection" | "difference"} operation
+ * @param {[number, number][][][]} a
+ * @param {[number, number][][][]} b
+ * @returns {[number, number][][][] | null} null if polygon-clipping fails
+ */
+function safeClip(operation, a, b) {
+  if (a.length === 0) return operation === "union" ? b : [];
+  if (b.length === 0) return operation === "intersection" ? [] : a;
+
+  try {
+    return sliceSamePoint(polygonClipping[operation](a, b))
+      .map((poly) => poly.filter((ring) => ring.length >= 3))
+      .filter((poly) => poly.length > 0);
+  } catch {
+    // precision error on nearly degenerate input
+    return null;
+  }
+}
+
+/**
+ * Area of multipolygon (holes are subtracted).
+ * @param {[number, number][][][]} multipolygon
+ * @returns {number}
+ */
+function getMultiPolygonArea(multipolygon) {
+  return multipolygon.reduce(
+    (sum, [outer, ...holes]) =>
+      sum +
+      Polygon.getSimpleArea(outer) -
+      holes.reduce((acc, hole) => acc + Polygon.getSimpleArea(hole), 0),
+    0
+  );
+}
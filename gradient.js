@@ -0,0 +1,414 @@
+import { vec2, parseRGBA, toHexColor } from "./utils.js";
+
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const CIRCLE_SEGMENTS = 64;
+const MAX_BANDS_PER_UNIT = 32;
+
+const DEFAULT_BBOX_LENGTHS = {
+  x1: 0,
+  y1: 0,
+  x2: 1,
+  y2: 0,
+  cx: 0.5,
+  cy: 0.5,
+  r: 0.5,
+  fr: 0,
+};
+
+/**
+ * @typedef {object} GradientStop
+ * @property {number} offset - 0 ~ 1
+ * @property {[number, number, number]} rgb
+ * @property {number} opacity - 0 ~ 1
+ */
+
+/**
+ * @typedef {object} Gradient
+ * @property {"linear" | "radial"} type
+ * @property {"userSpaceOnUse" | "objectBoundingBox"} units
+ * @property {"pad" | "reflect" | "repeat"} spread
+ * @property {SVG.Matrix} matrix - gradientTransform
+ * @property {GradientStop[]} stops
+ * @property {Object<string, number>} geometry - x1, y1, x2, y2 or cx, cy, r, fx, fy, fr
+ */
+
+/**
+ * Splits a gradient filled area into solid color bands.
+ * @param {Element} gradientNode - <linearGradient> or <radialGradient>
+ * @param {SVG.Element} el - element which references the gradient
+ * @param {SVG.Matrix} matrix - element user space to output space
+ * @param {[number, number][][][]} area - filled area in output space
+ * @param {number} [bandCount=8] - number of bands between offset 0 and 1
+ * @returns {Array<{color: string, opacity: number, area: [number, number][][][]}>}
+ */
+export function splitGradientBands(
+  gradientNode,
+  el,
+  matrix,
+  area,
+  bandCount = 8
+) {
+  const gradient = resolveGradient(gradientNode);
+  if (!gradient || area.length === 0) return [];
+
+  const lastStop = gradient.stops[gradient.stops.length - 1];
+  if (gradient.stops.length === 1 || isDegenerate(gradient)) {
+    return [
+      { color: toHexColor(lastStop.rgb), opacity: lastStop.opacity, area },
+    ];
+  }
+
+  let toOutput = matrix;
+  if (gradient.units === "objectBoundingBox") {
+    const box = el.node.getBBox();
+    if (box.width === 0 || box.height === 0) return [];
+    toOutput = toOutput.multiply(
+      new SVG.Matrix(box.width, 0, 0, box.height, box.x, box.y)
+    );
+  }
+  toOutput = toOutput.multiply(gradient.matrix);
+
+  let toGradient;
+  try {
+    toGradient = toOutput.inverse();
+  } catch {
+    return [];
+  }
+
+  const points = area.flat(2).map(([x, y]) => {
+    const p = new SVG.Point(x, y).transform(toGradient);
+    return [p.x, p.y];
+  });
+
+  const bands =
+    gradient.type === "linear"
+      ? linearBands(gradient, points)
+      : radialBands(gradient, points);
+
+  const intervals = getBandIntervals(
+    bands.tmin,
+    bands.tmax,
+    Math.max(1, Math.round(bandCount)),
+    gradient.spread
+  ).map((interval) => {
+    const { rgb, opacity } = sampleGradient(gradient.stops, interval.t);
+    // 8 bit alpha is enough for display backgrounds
+    return {
+      ...interval,
+      color: toHexColor(rgb),
+      opacity: Math.round(opacity * 255) / 255,
+    };
+  });
+
+  const result = [];
+  for (const { from, to, color, opacity } of mergeIntervals(intervals)) {
+    const region = bands.region(from, to);
+    if (!region) continue;
+
+    const mapped = region.map((poly) =>
+      poly.map((ring) =>
+        ring.map(([x, y]) => {
+          const p = new SVG.Point(x, y).transform(toOutput);
+          return [p.x, p.y];
+        })
+      )
+    );
+    const clipped = polygonClipping.intersection(area, mapped);
+    if (clipped.length > 0) result.push({ color, opacity, area: clipped });
+  }
+
+  return result;
+}
+
+/**
+ * Reads gradient attributes and stops, following href inheritance.
+ * @param {Element} node
+ * @returns {Gradient | null}
+ */
+export function resolveGradient(node) {
+  const type =
+    node.localName === "linearGradient"
+      ? "linear"
+      : node.localName === "radialGradient"
+      ? "radial"
+      : null;
+  if (!type) return null;
+
+  const chain = getHrefChain(node);
+  const attrOwner = (name, sameType = false) =>
+    chain.find(
+      (n) =>
+        n.hasAttribute(name) && (!sameType || n.localName === node.localName)
+    );
+
+  const units =
+    attrOwner("gradientUnits")?.getAttribute("gradientUnits") ===
+    "userSpaceOnUse"
+      ? "userSpaceOnUse"
+      : "objectBoundingBox";
+  const spread =
+    attrOwner("spreadMethod")?.getAttribute("spreadMethod") ?? "pad";
+
+  const transformOwner = attrOwner("gradientTransform");
+  const transform = transformOwner?.gradientTransform.baseVal.consolidate();
+  const matrix = transform
+    ? new SVG.Matrix(transform.matrix)
+    : new SVG.Matrix();
+
+  const readLength = (name) => {
+    const owner = attrOwner(name, true);
+    if (units === "userSpaceOnUse") {
+      return (owner ?? node)[name]?.baseVal.value ?? 0;
+    }
+    if (!owner) return DEFAULT_BBOX_LENGTHS[name];
+    const raw = owner.getAttribute(name).trim();
+    return raw.endsWith("%") ? parseFloat(raw) / 100 : parseFloat(raw);
+  };
+
+  const geometry = {};
+  if (type === "linear") {
+    ["x1", "y1", "x2", "y2"].forEach((n) => (geometry[n] = readLength(n)));
+  } else {
+    ["cx", "cy", "r", "fr"].forEach((n) => (geometry[n] = readLength(n)));
+    geometry.fx = attrOwner("fx", true) ? readLength("fx") : geometry.cx;
+    geometry.fy = attrOwner("fy", true) ? readLength("fy") : geometry.cy;
+  }
+
+  const stops = getStops(chain);
+  if (stops.length === 0) return null;
+
+  return { type, units, spread, matrix, stops, geometry };
+}
+
+/**
+ * Returns gradient and its href ancestors.
+ * @param {Element} node
+ * @returns {Element[]}
+ */
+function getHrefChain(node) {
+  const chain = [];
+  let current = node;
+  while (current && !chain.includes(current)) {
+    chain.push(current);
+    const href =
+      current.getAttribute("href") ?? current.getAttributeNS(XLINK_NS, "href");
+    current = href?.startsWith("#")
+      ? node.ownerDocument.getElementById(href.slice(1))
+      : null;
+    if (current && !/^(linear|radial)Gradient$/.test(current.localName)) break;
+  }
+  return chain;
+}
+
+/**
+ * Stops of first gradient in chain which has stops.
+ * @param {Element[]} chain
+ * @returns {GradientStop[]}
+ */
+function getStops(chain) {
+  const stopNodes =
+    chain
+      .map((n) => [...n.children].filter((c) => c.localName === "stop"))
+      .find((stops) => stops.length > 0) ?? [];
+
+  let prevOffset = 0;
+  return stopNodes.map((stop) => {
+    const style = window.getComputedStyle(stop);
+    const color = parseRGBA(style.stopColor) ?? { rgb: [0, 0, 0], alpha: 1 };
+    const offset = Math.max(
+      prevOffset,
+      Math.min(1, Math.max(0, stop.offset.baseVal))
+    );
+    prevOffset = offset;
+    return {
+      offset,
+      rgb: color.rgb,
+      opacity: color.alpha * parseFloat(style.stopOpacity || "1"),
+    };
+  });
+}
+
+/**
+ * @param {Gradient} gradient
+ * @returns {boolean} whether the gradient paints its last stop color only.
+ */
+function isDegenerate({ type, geometry }) {
+  if (type === "linear") {
+    const { x1, y1, x2, y2 } = geometry;
+    return x1 === x2 && y1 === y2;
+  }
+  return geometry.r <= 0;
+}
+
+/**
+ * Color of gradient at offset t (sRGB interpolation).
+ * @param {GradientStop[]} stops
+ * @param {number} t - 0 ~ 1
+ * @returns {{rgb: [number, number, number], opacity: number}}
+ */
+export function sampleGradient(stops, t) {
+  if (t <= stops[0].offset) return stops[0];
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    if (t > b.offset) continue;
+
+    const span = b.offset - a.offset;
+    const k = span === 0 ? 1 : (t - a.offset) / span;
+    return {
+      rgb: a.rgb.map((v, j) => v + (b.rgb[j] - v) * k),
+      opacity: a.opacity + (b.opacity - a.opacity) * k,
+    };
+  }
+  return stops[stops.length - 1];
+}
+
+/**
+ * Divides [tmin, tmax] into bands of 1 / bandCount.
+ * Sample offset t of each band is mapped by spread method.
+ * @param {number} tmin
+ * @param {number} tmax
+ * @param {number} bandCount
+ * @param {"pad" | "reflect" | "repeat"} spread
+ * @returns {Array<{from: number, to: number, t: number}>}
+ */
+function getBandIntervals(tmin, tmax, bandCount, spread) {
+  const intervals = [];
+
+  if (spread !== "reflect" && spread !== "repeat") {
+    if (tmin < 0) intervals.push({ from: -Infinity, to: 0, t: 0 });
+    for (let k = 0; k < bandCount; k++) {
+      const from = k / bandCount;
+      const to = (k + 1) / bandCount;
+      if (to < tmin || from > tmax) continue;
+      intervals.push({ from, to, t: (from + to) / 2 });
+    }
+    if (tmax > 1) intervals.push({ from: 1, to: Infinity, t: 1 });
+    return intervals;
+  }
+
+  const first = Math.floor(tmin * bandCount);
+  const last = Math.min(
+    Math.ceil(tmax * bandCount),
+    first + bandCount * MAX_BANDS_PER_UNIT
+  );
+  for (let k = first; k < last; k++) {
+    const from = k / bandCount;
+    const to = (k + 1) / bandCount;
+    let t = (from + to) / 2;
+    if (spread === "repeat") {
+      t -= Math.floor(t);
+    } else {
+      t -= 2 * Math.floor(t / 2);
+      if (t > 1) t = 2 - t;
+    }
+    intervals.push({ from, to, t });
+  }
+  // outermost band covers the rest of the shape
+  intervals[0].from = -Infinity;
+  intervals[intervals.length - 1].to = Infinity;
+  return intervals;
+}
+
+/**
+ * Merges neighbor intervals with the same color.
+ * @param {Array<{from: number, to: number, color: string, opacity: number}>} intervals
+ * @returns {Array<{from: number, to: number, color: string, opacity: number}>}
+ */
+function mergeIntervals(intervals) {
+  return intervals.reduce((acc, curr) => {
+    const prev = acc[acc.length - 1];
+    if (prev && prev.color === curr.color && prev.opacity === curr.opacity)
+      prev.to = curr.to;
+    else acc.push({ ...curr });
+    return acc;
+  }, []);
+}
+
+/**
+ * Band regions of linear gradient, in gradient space.
+ * @param {Gradient} gradient
+ * @param {[number, number][]} points - shape points in gradient space
+ */
+function linearBands({ geometry }, points) {
+  const { x1, y1, x2, y2 } = geometry;
+  const p1 = [x1, y1];
+  const d = [x2 - x1, y2 - y1];
+  const n = [-d[1], d[0]];
+  const len2 = vec2.dot(d, d);
+
+  const ts = points.map((p) => vec2.dot(vec2.sub(p, p1), d) / len2);
+  const ss = points.map((p) => vec2.dot(vec2.sub(p, p1), n) / len2);
+  const tmin = Math.min(...ts);
+  const tmax = Math.max(...ts);
+  const smin = Math.min(...ss) - 1;
+  const smax = Math.max(...ss) + 1;
+
+  const at = (t, s) =>
+    vec2.add(p1, vec2.add(vec2.scale(d, t), vec2.scale(n, s)));
+
+  return {
+    tmin,
+    tmax,
+    region(from, to) {
+      const a = Math.max(from, tmin - 1);
+      const b = Math.min(to, tmax + 1);
+      if (b <= a) return null;
+      return [[[at(a, smin), at(b, smin), at(b, smax), at(a, smax)]]];
+    },
+  };
+}
+
+/**
+ * Band regions of radial gradient, in gradient space.
+ * Band at offset t is the circle centered at lerp(focal, center, t)
+ * with radius lerp(fr, r, t).
+ * @param {Gradient} gradient
+ * @param {[number, number][]} points - shape points in gradient space
+ */
+function radialBands({ geometry }, points) {
+  const { cx, cy, r, fx, fy, fr } = geometry;
+  const c = [cx, cy];
+  const f = [fx, fy];
+  const fc = vec2.sub(c, f);
+
+  const center = (t) => vec2.add(f, vec2.scale(fc, t));
+  const radius = (t) => fr + (r - fr) * t;
+  const circle = (t) => {
+    const o = center(t);
+    const rt = radius(t);
+    return Array.from({ length: CIRCLE_SEGMENTS }, (_, i) => {
+      const angle = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+      // circumscribed polygon, so the band fully covers the circle
+      const k = rt / Math.cos(Math.PI / CIRCLE_SEGMENTS);
+      return [o[0] + k * Math.cos(angle), o[1] + k * Math.sin(angle)];
+    });
+  };
+
+  const maxDist = Math.max(...points.map((p) => vec2.length(vec2.sub(p, f))));
+  const grow = Math.max(r - fr - vec2.length(fc), r * 0.01);
+  const tmax = Math.max(0, (maxDist - fr) / grow);
+
+  // square covering the shape and every band circle
+  const xs = points.map((p) => p[0]).concat(cx - r, cx + r, fx - fr, fx + fr);
+  const ys = points.map((p) => p[1]).concat(cy - r, cy + r, fy - fr, fy + fr);
+  const [minX, maxX] = [Math.min(...xs) - 1, Math.max(...xs) + 1];
+  const [minY, maxY] = [Math.min(...ys) - 1, Math.max(...ys) + 1];
+  const box = [
+    [minX, minY],
+    [maxX, minY],
+    [maxX, maxY],
+    [minX, maxY],
+  ];
+
+  return {
+    tmin: fr > 0 ? -1 : 0,
+    tmax,
+    region(from, to) {
+      if (to !== Infinity && radius(to) <= 0) return null;
+      const outer = to === Infinity ? box : circle(to);
+      if (from === -Infinity || radius(from) <= 0) return [[outer]];
+      return polygonClipping.difference([outer], [circle(from)]);
+    },
+  };
+}
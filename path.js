@@ -0,0 +1,214 @@
+import { vec2, distanceToSegment } from "./utils.js";
+import svgPathParser from "https://cdn.jsdelivr.net/npm/svg-path-parser@1.1.0/+esm";
+
+// limit of recursive bezier subdivision (2^16 segments per curve)
+const MAX_DEPTH = 16;
+
+/**
+ * Flattens path data into polylines.
+ * Curves are split adaptively until the chord error is below tolerance.
+ * @param {string} d
+ * @param {number} tolerance - max chord error, in user units of the path
+ * @returns {Array<{points: [number, number][], closed: boolean}>}
+ */
+export function flattenPath(d, tolerance) {
+  if (typeof d !== "string" || d.trim() === "") return [];
+
+  let commands;
+  try {
+    commands = svgPathParser.makeAbsolute(svgPathParser.parseSVG(d));
+  } catch (error) {
+    console.error("Failed to parse the SVG path:", error);
+    return [];
+  }
+
+  const paths = [];
+  let current = null;
+  let prevCode = null;
+  let prevControl = null; // last control point, for S / T reflection
+
+  for (const cmd of commands) {
+    const start = [cmd.x0 ?? 0, cmd.y0 ?? 0];
+    const end = [cmd.x, cmd.y];
+
+    if (cmd.code === "M") {
+      current = { points: [end], closed: false };
+      paths.push(current);
+      prevCode = "M";
+      continue;
+    }
+    // drawing after Z (or without M) starts a new subpath at the current point
+    if (!current || current.closed) {
+      current = { points: [start], closed: false };
+      paths.push(current);
+    }
+
+    let control = null;
+    switch (cmd.code) {
+      case "L":
+      case "H":
+      case "V":
+        current.points.push(end);
+        break;
+      case "C":
+      case "S": {
+        const c1 =
+          cmd.code === "C"
+            ? [cmd.x1, cmd.y1]
+            : reflect(start, prevControl, /[CS]/.test(prevCode));
+        const c2 = [cmd.x2, cmd.y2];
+        flattenCubic(start, c1, c2, end, tolerance, current.points);
+        control = c2;
+        break;
+      }
+      case "Q":
+      case "T": {
+        const q =
+          cmd.code === "Q"
+            ? [cmd.x1, cmd.y1]
+            : reflect(start, prevControl, /[QT]/.test(prevCode));
+        // degree elevation to cubic
+        const c1 = vec2.add(start, vec2.scale(vec2.sub(q, start), 2 / 3));
+        const c2 = vec2.add(end, vec2.scale(vec2.sub(q, end), 2 / 3));
+        flattenCubic(start, c1, c2, end, tolerance, current.points);
+        control = q;
+        break;
+      }
+      case "A":
+        flattenArc(start, end, cmd, tolerance, current.points);
+        break;
+      case "Z": {
+        current.closed = true;
+        const points = current.points;
+        if (points.length > 1 && vec2.equal(points[0], points.at(-1))) {
+          points.pop();
+        }
+        break;
+      }
+    }
+    prevCode = cmd.code;
+    prevControl = control;
+  }
+
+  return paths;
+}
+
+/**
+ * Reflection of the previous control point about p (smooth curve).
+ * @param {[number, number]} p
+ * @param {[number, number] | null} control
+ * @param {boolean} isSmooth - whether previous command has a control point to reflect
+ * @returns {[number, number]}
+ */
+function reflect(p, control, isSmooth) {
+  if (!isSmooth || !control) return p;
+  return vec2.sub(vec2.scale(p, 2), control);
+}
+
+/**
+ * Appends points of cubic bezier (except p0) to out.
+ * The curve lies in the hull of its control points,
+ * so it is flat enough when both control points are close to the chord.
+ * @param {[number, number]} p0
+ * @param {[number, number]} p1
+ * @param {[number, number]} p2
+ * @param {[number, number]} p3
+ * @param {number} tolerance
+ * @param {[number, number][]} out
+ * @param {number} [depth=0]
+ */
+function flattenCubic(p0, p1, p2, p3, tolerance, out, depth = 0) {
+  const error = Math.max(
+    distanceToSegment(p1, p0, p3),
+    distanceToSegment(p2, p0, p3)
+  );
+  if (error <= tolerance || depth >= MAX_DEPTH) {
+    out.push(p3);
+    return;
+  }
+
+  // de Casteljau split at t = 0.5
+  const mid = (a, b) => vec2.scale(vec2.add(a, b), 0.5);
+  const p01 = mid(p0, p1);
+  const p12 = mid(p1, p2);
+  const p23 = mid(p2, p3);
+  const p012 = mid(p01, p12);
+  const p123 = mid(p12, p23);
+  const p0123 = mid(p012, p123);
+
+  flattenCubic(p0, p01, p012, p0123, tolerance, out, depth + 1);
+  flattenCubic(p0123, p123, p23, p3, tolerance, out, depth + 1);
+}
+
+/**
+ * Appends points of elliptical arc (except start) to out.
+ * Step angle keeps the sagitta of each chord below tolerance.
+ * https://www.w3.org/TR/SVG/implnote.html#ArcImplementationNotes
+ * @param {[number, number]} start
+ * @param {[number, number]} end
+ * @param {{rx: number, ry: number, xAxisRotation: number, largeArc: boolean, sweep: boolean}} arc
+ * @param {number} tolerance
+ * @param {[number, number][]} out
+ */
+function flattenArc(start, end, arc, tolerance, out) {
+  let rx = Math.abs(arc.rx);
+  let ry = Math.abs(arc.ry);
+  if (rx === 0 || ry === 0 || vec2.equal(start, end)) {
+    out.push(end);
+    return;
+  }
+
+  const phi = (arc.xAxisRotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+
+  // endpoint to center parameterization
+  const dx = (start[0] - end[0]) / 2;
+  const dy = (start[1] - end[1]) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // scale up radii that are too small
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const sign = arc.largeArc === arc.sweep ? -1 : 1;
+  const coef = sign * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (coef * rx * y1) / ry;
+  const cy1 = (-coef * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (start[0] + end[0]) / 2;
+  const cy = sin * cx1 + cos * cy1 + (start[1] + end[1]) / 2;
+
+  const angle = (ux, uy, vx, vy) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle(
+    (x1 - cx1) / rx,
+    (y1 - cy1) / ry,
+    (-x1 - cx1) / rx,
+    (-y1 - cy1) / ry
+  );
+  if (!arc.sweep && delta > 0) delta -= 2 * Math.PI;
+  if (arc.sweep && delta < 0) delta += 2 * Math.PI;
+
+  // sagitta of chord: r * (1 - cos(step / 2)) <= tolerance
+  const r = Math.max(rx, ry);
+  const step = 2 * Math.acos(Math.max(-1, 1 - tolerance / r));
+  const count = Math.min(
+    2 ** MAX_DEPTH,
+    Math.max(1, Math.ceil(Math.abs(delta) / step))
+  );
+
+  for (let i = 1; i < count; i++) {
+    const theta = theta1 + (delta * i) / count;
+    const x = rx * Math.cos(theta);
+    const y = ry * Math.sin(theta);
+    out.push([cos * x - sin * y + cx, sin * x + cos * y + cy]);
+  }
+  out.push(end);
+}
@@ -0,0 +1,69 @@
+import {
+  flattenOcclusion,
+  mergeSameColor,
+  removeSlivers,
+  toDisplay,
+} from "./geometry.js";
+
+/**
+ * Geometry stages after sampling: merge, simplify, occlusion, slivers and decomposition.
+ * Needs no DOM, so it runs in the conversion worker. Lengths are in source units.
+ * @param {Polygon[]} polygons
+ * @param {{merge: boolean, simplifyTolerance: number, flatten: boolean,
+ *   minArea: number, minThickness: number, optimize: "speed" | "count"}} options
+ * @param {(done: number, total: number) => void} [onProgress] - called per converted polygon
+ * @returns {{polygons: Polygon[], results: Array<{polygon: Polygon, display: Display}>,
+ *   count: number, removedArea: number, timings: {prepare: number, decompose: number}}}
+ * timings in ms: prepare is merge to sliver removal, decompose is toDisplay.
+ */
+export function convertPolygons(polygons, options, onProgress = () => {}) {
+  const start = performance.now();
+  let removedArea;
+  ({ polygons, removedArea } = preparePolygons(polygons, options));
+
+  const prepared = performance.now();
+  const results = [];
+  polygons.forEach((polygon, i) => {
+    const display = toDisplay(polygon, { optimize: options.optimize });
+    if (display) results.push({ polygon, display });
+    onProgress(i + 1, polygons.length);
+  });
+  const count = results.reduce(
+    (sum, { display }) => sum + display.getTotalDisplayCount(),
+    0
+  );
+
+  const timings = {
+    prepare: prepared - start,
+    decompose: performance.now() - prepared,
+  };
+
+  return { polygons, results, count, removedArea, timings };
+}
+
+/**
+ * Stages of convertPolygons before decomposition. Skipped ones default to off.
+ * @param {Polygon[]} polygons
+ * @param {{merge?: boolean, simplifyTolerance?: number, flatten?: boolean,
+ *   minArea?: number, minThickness?: number}} options
+ * @returns {{polygons: Polygon[], removedArea: number}}
+ */
+export function preparePolygons(polygons, options) {
+  const { simplifyTolerance = 0, minArea = 0, minThickness = 0 } = options;
+
+  if (options.merge) polygons = mergeSameColor(polygons);
+  if (simplifyTolerance > 0) {
+    polygons = polygons.map((poly) => poly.simplify(simplifyTolerance));
+  }
+  if (options.flatten) polygons = flattenOcclusion(polygons);
+
+  let removedArea = 0;
+  if (minArea > 0 || minThickness > 0) {
+    ({ polygons, removedArea } = removeSlivers(polygons, {
+      minArea,
+      minThickness,
+    }));
+  }
+
+  return { polygons, removedArea };
+}
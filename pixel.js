@@ -0,0 +1,122 @@
+import { Polygon } from "./polygon.js";
+import { toHexColor } from "./utils.js";
+
+/**
+ * Decodes image file (PNG, GIF, WebP) into RGBA pixels.
+ * Animated images are decoded from the first frame.
+ * @param {File} file
+ * @returns {Promise<ImageData>}
+ */
+export async function loadImageData(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Merges same colored pixels into axis-aligned rectangles.
+ * Fully transparent pixels are dropped. One pixel is one unit.
+ * @param {ImageData} image
+ * @returns {Polygon[]}
+ */
+export function pixelsToPolygons(image) {
+  const { width, height, data } = image;
+  const pixels = new Uint32Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    const alpha = data[i * 4 + 3];
+    // 0 marks empty pixel, so every colored pixel keeps alpha > 0
+    pixels[i] =
+      alpha === 0
+        ? 0
+        : ((data[i * 4] << 24) |
+            (data[i * 4 + 1] << 16) |
+            (data[i * 4 + 2] << 8) |
+            alpha) >>>
+          0;
+  }
+
+  // row-first and column-first greedy meshing, keep the smaller one
+  const rows = greedyRectangles(pixels, width, height);
+  const columns = greedyRectangles(
+    transpose(pixels, width, height),
+    height,
+    width
+  ).map(({ x, y, w, h, value }) => ({ x: y, y: x, w: h, h: w, value }));
+  const rects = columns.length < rows.length ? columns : rows;
+
+  return rects.map(({ x, y, w, h, value }) => {
+    const rgb = [value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff];
+    return new Polygon(
+      [
+        [x, y],
+        [x + w, y],
+        [x + w, y + h],
+        [x, y + h],
+      ],
+      [],
+      toHexColor(rgb),
+      0,
+      (value & 0xff) / 255
+    );
+  });
+}
+
+/**
+ * Greedy meshing: grows each rectangle along the row first, then downward.
+ * @param {Uint32Array} pixels - 0 for empty pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{x: number, y: number, w: number, h: number, value: number}>}
+ */
+function greedyRectangles(pixels, width, height) {
+  const visited = new Uint8Array(pixels.length);
+  const rects = [];
+  const isFree = (x, y, value) =>
+    !visited[y * width + x] && pixels[y * width + x] === value;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = pixels[y * width + x];
+      if (value === 0 || visited[y * width + x]) continue;
+
+      let w = 1;
+      while (x + w < width && isFree(x + w, y, value)) w++;
+
+      let h = 1;
+      while (y + h < height) {
+        let rowFree = true;
+        for (let i = 0; i < w && rowFree; i++) {
+          rowFree = isFree(x + i, y + h, value);
+        }
+        if (!rowFree) break;
+        h++;
+      }
+
+      for (let j = 0; j < h; j++) {
+        visited.fill(1, (y + j) * width + x, (y + j) * width + x + w);
+      }
+      rects.push({ x, y, w, h, value });
+    }
+  }
+  return rects;
+}
+
+/**
+ * @param {Uint32Array} pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint32Array} pixels of height x width image
+ */
+function transpose(pixels, width, height) {
+  const result = new Uint32Array(pixels.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      result[x * height + y] = pixels[y * width + x];
+    }
+  }
+  return result;
+}
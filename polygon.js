@@ -1,4 +1,4 @@
-import { vec2 } from "./utils.js";
+import { vec2, distanceToSegment } from "./utils.js";
 
 /**
  * Represents a 2D polygon with optional holes and a color.
@@ -9,8 +9,9 @@ export class Polygon {
    * @param {Array<[number, number][]>} [holes=[]] - Array of holes, each a set of points in clockwise order.
    * @param {string} [color="#000000"] - The hex string fill color of the polygon (RRGGBB).
    * @param {number} [layer=0] - Layer number. The higher the number, the more outer.
+   * @param {number} [alpha=1] - Effective opacity of the fill (0 ~ 1).
    */
-  constructor(points, holes = [], color = "#000000", layer = 0) {
+  constructor(points, holes = [], color = "#000000", layer = 0, alpha = 1) {
     /** @type {[number, number][]} */
     this.points = points;
 
@@ -22,6 +23,9 @@ export class Polygon {
 
     /** @type {number} */
     this.layer = layer;
+
+    /** @type {number} */
+    this.alpha = alpha;
   }
 
   /** @returns {number} The number of holes in the polygon. */
@@ -62,17 +66,44 @@ export class Polygon {
       this.points.map((p) => [...p]),
       this.holes.map((hole) => hole.map((p) => [...p])),
       this.color,
-      this.layer
+      this.layer,
+      this.alpha
     );
   }
 
   /**
-   * @returns {Polygon} simplify colinear polygon.
+   * Plain data of the polygon, e.g. for postMessage (arrow methods cannot be cloned).
+   * @returns {{points: [number, number][], holes: Array<[number, number][]>, color: string, layer: number, alpha: number}}
+   */
+  toJSON() {
+    const { points, holes, color, layer, alpha } = this;
+    return { points, holes, color, layer, alpha };
+  }
+
+  /**
+   * @param {{points: [number, number][], holes: Array<[number, number][]>, color: string, layer: number, alpha: number}} data
+   * @returns {Polygon}
    */
-  simplify() {
+  static fromJSON({ points, holes, color, layer, alpha }) {
+    return new Polygon(points, holes, color, layer, alpha);
+  }
+
+  /**
+   * Removes colinear points, and points within tolerance if given.
+   * The outline and holes stay simple: no self-intersections, no collapsed rings.
+   * @param {number} [tolerance=0] - Max distance from the original outline.
+   * @returns {Polygon} simplified polygon.
+   */
+  simplify(tolerance = 0) {
     const result = this.clone();
     result.points = Polygon.removeColinear(result.points);
     result.holes = result.holes.map((hole) => Polygon.removeColinear(hole));
+    if (tolerance > 0) {
+      [result.points, ...result.holes] = Polygon.simplifyRings(
+        [result.points, ...result.holes],
+        tolerance
+      );
+    }
     return result;
   }
 
@@ -87,6 +118,22 @@ export class Polygon {
     return totalArea;
   }
 
+  /**
+   * @returns {number} Total length of the outline and the holes.
+   */
+  getPerimeter() {
+    return [this.points, ...this.holes].reduce(
+      (sum, ring) =>
+        sum +
+        ring.reduce(
+          (acc, p, i) =>
+            acc + vec2.length(vec2.sub(ring[(i + 1) % ring.length], p)),
+          0
+        ),
+      0
+    );
+  }
+
   /**
    * Returns the index of the vertex with the largest interior angle.
    * Works for both convex and concave polygons.
@@ -379,6 +426,87 @@ export class Polygon {
     return result;
   }
 
+  /**
+   * Topology-preserving vertex removal, smallest error first.
+   * A vertex is removed only if the new edge stays within tolerance of every
+   * original point it replaces, crosses no edge and encloses no other vertex.
+   * @param {[number, number][][]} rings
+   * @param {number} tolerance
+   * @returns {[number, number][][]}
+   */
+  static simplifyRings(rings, tolerance) {
+    // each vertex keeps the original points removed between it and the next vertex
+    const nodes = rings.map((ring) => ring.map((p) => ({ p, removed: [] })));
+
+    const getError = (ring, i) => {
+      const n = ring.length;
+      const prev = ring[(i - 1 + n) % n];
+      const curr = ring[i];
+      const next = ring[(i + 1) % n];
+      const replaced = [...prev.removed, curr.p, ...curr.removed];
+      return Math.max(
+        ...replaced.map((p) => distanceToSegment(p, prev.p, next.p))
+      );
+    };
+
+    const canRemove = (ring, i) => {
+      const n = ring.length;
+      const a = ring[(i - 1 + n) % n].p;
+      const b = ring[i].p;
+      const c = ring[(i + 1) % n].p;
+
+      const minX = Math.min(a[0], b[0], c[0]);
+      const maxX = Math.max(a[0], b[0], c[0]);
+      const minY = Math.min(a[1], b[1], c[1]);
+      const maxY = Math.max(a[1], b[1], c[1]);
+
+      for (const other of nodes) {
+        for (let j = 0; j < other.length; j++) {
+          const p = other[j].p;
+          const q = other[(j + 1) % other.length].p;
+          if (p === b || q === b) continue;
+          // edge outside bounds of the triangle
+          if (
+            Math.max(p[0], q[0]) < minX ||
+            Math.min(p[0], q[0]) > maxX ||
+            Math.max(p[1], q[1]) < minY ||
+            Math.min(p[1], q[1]) > maxY
+          )
+            continue;
+          if (segmentsCross(a, c, p, q)) return false;
+          if (p !== a && p !== c && isInsideTriangle(p, a, b, c)) return false;
+        }
+      }
+      return true;
+    };
+
+    let removed = true;
+    while (removed) {
+      removed = false;
+      const candidates = nodes.flatMap((ring) =>
+        ring.length <= 3
+          ? []
+          : ring.map((node, i) => ({ ring, node, error: getError(ring, i) }))
+      );
+      candidates.sort((a, b) => a.error - b.error);
+
+      for (const { ring, node, error } of candidates) {
+        if (error > tolerance) break;
+        if (ring.length <= 3) continue;
+        const i = ring.indexOf(node);
+        // neighbors may have changed in this pass
+        if (getError(ring, i) > tolerance || !canRemove(ring, i)) continue;
+
+        const prev = ring[(i - 1 + ring.length) % ring.length];
+        prev.removed.push(node.p, ...node.removed);
+        ring.splice(i, 1);
+        removed = true;
+      }
+    }
+
+    return nodes.map((ring) => ring.map((node) => node.p));
+  }
+
   /**
    * Determines if a point array forms a counterclockwise polygon.
    * @param {[number, number][]} points
@@ -409,3 +537,49 @@ export class Polygon {
     return vec2.cross(d1, d2) < 0;
   }
 }
+
+/**
+ * Whether segments [a-b] and [c-d] cross or overlap, except at shared endpoints.
+ * @returns {boolean}
+ */
+function segmentsCross(a, b, c, d) {
+  const EPSILON = 1e-12;
+  const orient = (p, q, r) => vec2.cross(vec2.sub(q, p), vec2.sub(r, p));
+  const o1 = orient(a, b, c);
+  const o2 = orient(a, b, d);
+  const o3 = orient(c, d, a);
+  const o4 = orient(c, d, b);
+
+  if (o1 * o2 < -EPSILON && o3 * o4 < -EPSILON) return true;
+
+  // touching or colinear: a point of one segment lies on the other
+  const shared = (p) => vec2.equal(p, a) || vec2.equal(p, b);
+  const onSegment = (p, q, r) =>
+    Math.abs(orient(p, q, r)) < EPSILON &&
+    Math.min(p[0], q[0]) <= r[0] &&
+    r[0] <= Math.max(p[0], q[0]) &&
+    Math.min(p[1], q[1]) <= r[1] &&
+    r[1] <= Math.max(p[1], q[1]);
+  return (
+    (!shared(c) && onSegment(a, b, c)) ||
+    (!shared(d) && onSegment(a, b, d)) ||
+    (!vec2.equal(a, c) && !vec2.equal(a, d) && onSegment(c, d, a)) ||
+    (!vec2.equal(b, c) && !vec2.equal(b, d) && onSegment(c, d, b))
+  );
+}
+
+/**
+ * @param {[number, number]} p
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @param {[number, number]} c
+ * @returns {boolean} whether p is inside triangle abc or on its edges
+ */
+function isInsideTriangle(p, a, b, c) {
+  const d1 = vec2.cross(vec2.sub(b, a), vec2.sub(p, a));
+  const d2 = vec2.cross(vec2.sub(c, b), vec2.sub(p, b));
+  const d3 = vec2.cross(vec2.sub(a, c), vec2.sub(p, c));
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+}
@@ -1,6 +1,29 @@
 import { Display } from "./display.js";
-import { drawDisplay, drawPolygon, toPolygons } from "./draw.js";
-import { toDisplay } from "./geometry.js";
+import { drawArea, drawDisplay, drawPolygon, toPolygons } from "./draw.js";
+import {
+  cancelConversion,
+  convertInWorker,
+  prepareInWorker,
+  measureInWorker,
+  serializeInWorker,
+  getConversionSignal,
+} from "./converter.js";
+import { getRootMatrix } from "./transform.js";
+import { loadFont } from "./text.js";
+import { loadImageData, pixelsToPolygons } from "./pixel.js";
+import {
+  FUNCTION_PATTERN,
+  NAMESPACE_PATTERN,
+  createDatapack,
+  getArtworkTag,
+  toFunctionName,
+} from "./datapack.js";
+import { createStructure } from "./structure.js";
+import { VERSIONS, getVersion } from "./versions.js";
+import {
+  zipSync,
+  strToU8,
+} from "https://cdn.jsdelivr.net/npm/fflate@0.8.2/+esm";
 
 const $ = (id) => document.getElementById(id);
 
@@ -27,17 +50,41 @@ document.addEventListener("DOMContentLoaded", async () => {
   const confirmReplaceButton = $("confirm-replace-btn");
 
   const summonCommandDialog = $("summon-command-dialog");
-  const commandText = $("command-text");
-  const copyCommandButton = $("copy-command-btn");
-  const longCommandAlert = $("long-command-alert");
+  const commandList = $("command-list");
+  const splitCommandAlert = $("split-command-alert");
+  const splitCommandCount = $("split-command-count");
 
   const reuploadButton = $("reupload-btn");
-  const samplerateSlider = $("samplerate-slider");
+  const fileCountLabel = $("file-count-label");
+  const fileList = $("file-list");
+  const toleranceSlider = $("tolerance-slider");
+  const gradientBandsInput = $("gradient-bands-input");
+  const simplifyInput = $("simplify-input");
+  const minAreaInput = $("min-area-input");
+  const minThicknessInput = $("min-thickness-input");
+  const budgetInput = $("budget-input");
+  const budgetResult = $("budget-result");
+  const sampleWarning = $("sample-warning");
+  const optimizeGroup = $("optimize-group");
+  const mergeCheckbox = $("merge-checkbox");
+  const flattenCheckbox = $("flatten-checkbox");
+  const fontButton = $("font-btn");
+  const fontInput = $("font-input");
+  const fontLabel = $("font-label");
   const polygonCount = $("polygon-count");
   const verticeCount = $("vertice-count");
   const displayCount = $("display-count");
+  const overCoverage = $("over-coverage");
+  const underCoverage = $("under-coverage");
+  const removedCoverage = $("removed-coverage");
+  const convertTime = $("convert-time");
 
   const convertButton = $("convert-btn");
+  const convertAllButton = $("convert-all-btn");
+  const convertProgress = $("convert-progress");
+  const convertProgressBar = $("convert-progress-bar");
+  const convertProgressLabel = $("convert-progress-label");
+  const cancelConvertButton = $("cancel-convert-btn");
 
   const colorModeGroup = $("colormode-group");
   const displayTypeGroup = $("display-type-group");
@@ -53,26 +100,66 @@ document.addEventListener("DOMContentLoaded", async () => {
   const toggleDisplay = $("toggle-display");
   const toggleBorder = $("toggle-border");
   const toggleBbox = $("toggle-bbox");
+  const toggleCoverage = $("toggle-coverage");
   const toggleButtons = {
     "#original-svg": toggleOriginal,
     "#display-svg": toggleDisplay,
     "#polygon-svg": toggleBorder,
     "#bbox-svg": toggleBbox,
+    "#coverage-svg": toggleCoverage,
   };
 
   const depthInput = $("depth-input");
   const widthInput = $("width-input");
+  const versionSelect = $("version-select");
+  const orientationSelect = $("orientation-select");
+  const yawInput = $("yaw-input");
+  const pitchInput = $("pitch-input");
+  const rollInput = $("roll-input");
 
   const summonButton = $("summon-btn");
   const summonButtonTooltip = $("summon-btn-tooltip");
+  const downloadAllButton = $("download-all-btn");
+  const exportButton = $("export-btn");
+  const exportDialog = $("export-dialog");
+  const namespaceInput = $("namespace-input");
+  const functionNameInput = $("function-name-input");
+  const downloadFunctionButton = $("download-function-btn");
+  const downloadDatapackButton = $("download-datapack-btn");
+  const downloadStructureButton = $("download-structure-btn");
 
   const draw = SVG().addTo(svgRenderArea).size("100%", "100%");
 
   const MAX_COMMAND_LENGTH = 32767;
+  // entity rotation of the artwork's front, degrees
+  const ORIENTATION_PRESETS = {
+    south: { yaw: 0, pitch: 0, roll: 0 },
+    west: { yaw: 90, pitch: 0, roll: 0 },
+    north: { yaw: 180, pitch: 0, roll: 0 },
+    east: { yaw: -90, pitch: 0, roll: 0 },
+    floor: { yaw: 0, pitch: -90, roll: 0 },
+    ceiling: { yaw: 0, pitch: 90, roll: 0 },
+  };
+  const PIXEL_IMAGE_TYPES = ["image/png", "image/gif", "image/webp"];
+  // steps of each setting searched by budget mode, from accurate to coarse (blocks, minArea blocks²)
+  const BUDGET_STEPS = {
+    curveTolerance: [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1],
+    simplifyTolerance: [0, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1],
+    minArea: [0, 0.0001, 0.001, 0.01, 0.05, 0.25, 1],
+    minThickness: [0, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1],
+  };
+  // curve tolerance of the reference the budget error is measured against (blocks)
+  const BUDGET_REFERENCE_TOLERANCE = 0.005;
   let resultDisplay = null;
+  let textFont = null;
+  /** @type {Array<{name: string, source: string, image: ImageData | null, polygons: Polygon[] | null, display: Display | null, budget: object | null}>} */
+  let entries = []; // loaded files, converted with shared settings
+  let currentIndex = -1;
+  let viewFrame = null;
   let pendingSVGFiles = null;
   let displayType = "block_display";
   let colorMode = "Monochrome";
+  let isConverting = false;
 
   // refresh warning
   window.addEventListener("beforeunload", (event) => {
@@ -84,13 +171,38 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
-  // samplerate slider
-  await samplerateSlider.updateComplete;
-  samplerateSlider.tooltipFormatter = (value) => `${value}%`;
-  samplerateSlider.label = `Sample rate: ${samplerateSlider.value}%`;
-  samplerateSlider.addEventListener("input", () => {
-    const value = samplerateSlider.value;
-    samplerateSlider.label = `Sample rate: ${value}%`;
+  // curve tolerance slider
+  await toleranceSlider.updateComplete;
+  toleranceSlider.tooltipFormatter = (value) => `${value} blocks`;
+  toleranceSlider.label = `Curve tolerance: ${toleranceSlider.value} blocks`;
+  toleranceSlider.addEventListener("input", () => {
+    const value = toleranceSlider.value;
+    toleranceSlider.label = `Curve tolerance: ${value} blocks`;
+  });
+
+  // target version, newest first
+  versionSelect.replaceChildren(
+    ...VERSIONS.map(({ id, label }) => {
+      const option = document.createElement("sl-option");
+      option.value = id;
+      option.textContent = label;
+      return option;
+    })
+  );
+  versionSelect.value = VERSIONS[0].id;
+
+  // orientation presets fill the angles, custom edits them
+  orientationSelect.addEventListener("sl-change", () => {
+    const preset = ORIENTATION_PRESETS[orientationSelect.value];
+    [yawInput, pitchInput, rollInput].forEach((input) =>
+      preset
+        ? input.setAttribute("disabled", "")
+        : input.removeAttribute("disabled")
+    );
+    if (!preset) return;
+    yawInput.value = preset.yaw;
+    pitchInput.value = preset.pitch;
+    rollInput.value = preset.roll;
   });
 
   // eye toggle buttons
@@ -190,17 +302,104 @@ document.addEventListener("DOMContentLoaded", async () => {
     fileInput.click();
   });
 
+  fontButton.addEventListener("click", () => {
+    fontInput.value = "";
+    fontInput.click();
+  });
+
+  fontInput.addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      textFont = await loadFont(file);
+      fontLabel.textContent = file.name;
+    } catch (err) {
+      console.error("FAILED loading font: ", err);
+      alert("Failed to read the font file. (TTF, OTF, WOFF are supported)");
+    }
+  });
+
   convertButton.addEventListener("click", () => {
-    if (!requireOriginalSVG()) return;
+    if (!requireOriginalSVG() || isConverting) return;
 
     draw.findOne("#display-svg")?.clear();
     draw.findOne("#polygon-svg")?.clear();
+    draw.findOne("#coverage-svg")?.clear();
 
     convertToDisplay();
   });
 
+  convertAllButton.addEventListener("click", () => {
+    if (!requireOriginalSVG() || isConverting) return;
+    convertAllEntries();
+  });
+
+  cancelConvertButton.addEventListener("click", () => cancelConversion());
+
+  downloadAllButton.addEventListener("click", () => {
+    if (!requireOriginalSVG() || isConverting) return;
+    downloadCommands();
+  });
+
+  exportButton.addEventListener("click", () => {
+    if (!requireOriginalSVG() || isConverting) return;
+    if (!resultDisplay) {
+      alert("Display not provided.");
+      return;
+    }
+    const entry = entries[currentIndex];
+    functionNameInput.value = toFunctionName(
+      entry.name.replace(/\.[^.]*$/, "")
+    );
+    exportDialog.show();
+  });
+
+  downloadFunctionButton.addEventListener("click", async () => {
+    const target = readExportTarget();
+    if (!target) return;
+    const [command] = await buildCommands(entries[currentIndex], [
+      getArtworkTag(target.namespace, target.name),
+    ]);
+    const fileName = `${target.name.split("/").at(-1)}.mcfunction`;
+    downloadBlob(new Blob([`${command}\n`], { type: "text/plain" }), fileName);
+  });
+
+  downloadDatapackButton.addEventListener("click", async () => {
+    const target = readExportTarget();
+    if (!target) return;
+    const [command] = await buildCommands(entries[currentIndex], [
+      getArtworkTag(target.namespace, target.name),
+    ]);
+    const zip = createDatapack({
+      ...target,
+      command,
+      version: getVersion(versionSelect.value),
+    });
+    downloadBlob(
+      new Blob([zip], { type: "application/zip" }),
+      `${target.namespace}.zip`
+    );
+  });
+
+  downloadStructureButton.addEventListener("click", async () => {
+    const target = readExportTarget();
+    if (!target) return;
+    // summoned one block above the first command block
+    const commands = await buildCommands(
+      entries[currentIndex],
+      [getArtworkTag(target.namespace, target.name)],
+      { maxLength: MAX_COMMAND_LENGTH, pos: ["~", "~1", "~"] }
+    );
+    downloadBlob(
+      new Blob([createStructure(commands, getVersion(versionSelect.value))], {
+        type: "application/octet-stream",
+      }),
+      `${target.name.split("/").at(-1)}.nbt`
+    );
+  });
+
   summonButton.addEventListener("click", () => {
-    if (!requireOriginalSVG()) return;
+    if (!requireOriginalSVG() || isConverting) return;
 
     if (!resultDisplay) {
       alert("Display not provided.");
@@ -247,11 +446,55 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
-  function summonCommand() {
-    const bbox = draw.findOne("#display-svg").bbox();
-    const width = bbox.width;
-    const bboxPos = [bbox.x, bbox.y];
-    const summonDisplay = resultDisplay.clone();
+  async function summonCommand() {
+    const commands = await buildCommands(entries[currentIndex], [], {
+      maxLength: MAX_COMMAND_LENGTH,
+    });
+    if (commands.length > 1) {
+      splitCommandCount.textContent = commands.length;
+      splitCommandAlert.classList.remove("hidden");
+    }
+    commandList.replaceChildren(
+      ...commands.map((command, i) => {
+        const item = document.createElement("div");
+        const header = document.createElement("div");
+        header.className = "command-header";
+        const label = document.createElement("p");
+        label.textContent =
+          commands.length > 1
+            ? `command ${i + 1}/${commands.length}`
+            : "command";
+        const copyButton = document.createElement("sl-copy-button");
+        copyButton.value = command;
+        header.append(label, copyButton);
+
+        const text = document.createElement("sl-textarea");
+        text.setAttribute("filled", "");
+        text.value = command;
+        item.append(header, text);
+        return item;
+      })
+    );
+    summonCommandDialog.show();
+  }
+
+  // summon commands, serialized in the worker: one command unless options.maxLength is given
+  function buildCommands(entry, tags = [], options = {}) {
+    return serializeInWorker(prepareDisplay(entry, tags), options);
+  }
+
+  // display of entry as summoned: settings applied, Width scaled, origin at the source bbox corner.
+  // Same bbox as the block size of the tolerances, so they stay in blocks.
+  function prepareDisplay(entry, tags = []) {
+    const { display, bounds } = entry;
+    const summonDisplay = display.clone();
+    tags.forEach((tag) => summonDisplay.addTag(tag));
+    summonDisplay.setVersion(getVersion(versionSelect.value));
+    summonDisplay.setOrientation({
+      yaw: Number(yawInput.value) || 0,
+      pitch: Number(pitchInput.value) || 0,
+      roll: Number(rollInput.value) || 0,
+    });
 
     summonDisplay.setType(displayType);
     if (displayType === "block_display") {
@@ -260,45 +503,313 @@ document.addEventListener("DOMContentLoaded", async () => {
     } else if (colorMode === "Monochrome") {
       summonDisplay.setColor(globalColor.getFormattedValue("hex").slice(1));
     }
-    summonDisplay.move([-bboxPos[0], -bboxPos[1]]);
-    summonDisplay.scale(widthInput.value / width);
+    summonDisplay.move([-bounds.x, -bounds.y]);
+    summonDisplay.scale(widthInput.value / bounds.width);
+
+    return summonDisplay;
+  }
+
+  async function convertToDisplay() {
+    const entry = entries[currentIndex];
+    await runConversion(async () => {
+      await convertEntry(entry);
+      drawResult(entry);
+    });
+    renderFileList();
+  }
+
+  // true unless cancelled or failed as a whole; failed files are logged and keep no display
+  async function convertAllEntries() {
+    const shownIndex = currentIndex;
+    const converting = entries;
+    // each file is converted while it is shown, computed styles need the DOM
+    const completed = await runConversion(async () => {
+      for (const [i, entry] of converting.entries()) {
+        showEntry(i);
+        try {
+          await convertEntry(entry, `${i + 1}/${converting.length} `);
+        } catch (err) {
+          if (err.name === "AbortError") throw err;
+          console.error(`FAILED converting ${entry.name}: `, err);
+          entry.display = null;
+        }
+      }
+    });
+    // loading new files cancels the conversion and shows them instead
+    if (entries !== converting) return false;
+    showEntry(shownIndex);
+    return completed;
+  }
 
-    const command = summonDisplay.command();
-    if (command.length > MAX_COMMAND_LENGTH) {
-      longCommandAlert.classList.remove("hidden");
+  // shows progress while converting, cancelled conversion keeps previous results.
+  // Returns whether the task completed.
+  async function runConversion(task) {
+    isConverting = true;
+    setProgress("Converting", 0, 0);
+    convertProgress.classList.remove("hidden");
+    convertButton.setAttribute("loading", "");
+    convertAllButton.setAttribute("disabled", "");
+    try {
+      await task();
+      return true;
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("FAILED converting: ", err);
+        alert("Conversion failed.");
+      }
+      return false;
+    } finally {
+      isConverting = false;
+      convertProgress.classList.add("hidden");
+      convertButton.removeAttribute("loading");
+      convertAllButton.removeAttribute("disabled");
     }
-    commandText.value = command;
-    copyCommandButton.value = commandText.value;
-    summonCommandDialog.show();
   }
 
-  function convertToDisplay() {
+  function setProgress(label, done, total, unit = "polygons") {
+    convertProgressLabel.textContent =
+      total > 0 ? `${label}: ${done} / ${total} ${unit}` : `${label}...`;
+    convertProgressBar.value = total > 0 ? (done / total) * 100 : 0;
+    if (total > 0) convertProgressBar.removeAttribute("indeterminate");
+    else convertProgressBar.setAttribute("indeterminate", "");
+  }
+
+  async function convertEntry(entry, prefix = "") {
     const original = draw.findOne("#original-svg");
-    if (!original) {
-      alert("Original SVG not provided.");
-      return false;
+    // source units per block, from the Width setting
+    const bounds = getSourceBounds(entry, original);
+    const blockSize = bounds.width / widthInput.value;
+    const settings = {
+      curveTolerance: Number(toleranceSlider.value),
+      simplifyTolerance: Number(simplifyInput.value) || 0,
+      minArea: Number(minAreaInput.value) || 0,
+      minThickness: Number(minThicknessInput.value) || 0,
+    };
+    const budget = Math.floor(Number(budgetInput.value));
+
+    let run;
+    // pixel images have no tolerances to search
+    let budgetSettings = budget > 0 && entry.image ? { skipped: true } : null;
+    if (budget > 0 && !entry.image) {
+      ({ run, settings: budgetSettings } = await fitToBudget(
+        entry,
+        original,
+        blockSize,
+        budget,
+        prefix
+      ));
+    } else {
+      run = await runPipeline(
+        entry,
+        original,
+        blockSize,
+        settings,
+        `${prefix}Converting`
+      );
+    }
+    const { polygons, results, removedArea, timings } = run;
+    setProgress(`${prefix}Measuring coverage`, 0, 0);
+    const start = performance.now();
+    const coverage = await measureInWorker(results);
+    timings.coverage = performance.now() - start;
+
+    entry.polygons = polygons;
+    entry.removedArea = removedArea;
+    entry.bounds = bounds;
+    entry.blockSize = blockSize;
+    entry.budget = budgetSettings;
+    entry.coverage = coverage;
+    entry.timings = timings;
+    entry.display = Display.nestedDisplay(
+      results.map((result) => result.display)
+    );
+  }
+
+  // polygons and their displays, tolerances in blocks. label: of the progress.
+  // sampled: optional cache of samplePolygons by curve tolerance, for repeated runs
+  async function runPipeline(
+    entry,
+    original,
+    blockSize,
+    settings,
+    label,
+    sampled = new Map()
+  ) {
+    const { curveTolerance, simplifyTolerance, minArea, minThickness } =
+      settings;
+    if (!sampled.has(curveTolerance)) {
+      const start = performance.now();
+      const polygons = await samplePolygons(
+        entry,
+        original,
+        curveTolerance * blockSize,
+        label
+      );
+      sampled.set(curveTolerance, {
+        polygons,
+        time: performance.now() - start,
+      });
+    }
+    const { polygons, time: sample } = sampled.get(curveTolerance);
+
+    const run = await convertInWorker(
+      polygons,
+      {
+        merge: mergeCheckbox.checked,
+        simplifyTolerance: simplifyTolerance * blockSize,
+        flatten: flattenCheckbox.checked,
+        minArea: minArea * blockSize ** 2,
+        minThickness: minThickness * blockSize,
+        optimize: optimizeGroup.value,
+      },
+      (...p) => setProgress(label, ...p)
+    );
+    run.timings.sample = sample;
+    return run;
+  }
+
+  // sampling needs the DOM, so it stays on the main thread (see toPolygons)
+  async function samplePolygons(entry, original, curveTolerance, label) {
+    const warnings = new Set();
+    const polygons = entry.image
+      ? pixelsToPolygons(entry.image)
+      : await toPolygons(original, curveTolerance, {
+          gradientBands: Math.min(
+            64,
+            Math.max(1, Math.round(Number(gradientBandsInput.value) || 1))
+          ),
+          font: textFont,
+          onWarning: (message) => warnings.add(message),
+          onProgress: (...p) =>
+            setProgress(`${label} (sampling)`, ...p, "elements"),
+          signal: getConversionSignal(),
+        });
+    entry.warnings = [...warnings];
+    return polygons;
+  }
+
+  // Coarsens one setting at a time until the display count fits: of the next step of each setting,
+  // the most accurate one that fits, or else the one with the fewest displays.
+  // Counts are measured every step, since merge and flatten may not lower them steadily.
+  async function fitToBudget(entry, original, blockSize, budget, prefix = "") {
+    let step = 0;
+    const sampled = new Map();
+    const evaluate = (steps) => {
+      const label = `${prefix}Budget search, try ${++step}`;
+      return runPipeline(
+        entry,
+        original,
+        blockSize,
+        getBudgetSettings(steps),
+        label,
+        sampled
+      );
+    };
+
+    // error against the finely sampled source, merged and flattened like the result
+    const referenceSource = await samplePolygons(
+      entry,
+      original,
+      BUDGET_REFERENCE_TOLERANCE * blockSize,
+      `${prefix}Reference`
+    );
+    setProgress(`${prefix}Preparing reference`, 0, 0);
+    const reference = await prepareInWorker(referenceSource, {
+      merge: mergeCheckbox.checked,
+      flatten: flattenCheckbox.checked,
+    });
+    const measureError = async (run) => {
+      setProgress(`${prefix}Measuring error`, 0, 0);
+      const coverage = await measureInWorker(run.results, reference);
+      return coverage
+        ? (coverage.overArea + coverage.underArea) / coverage.sourceArea
+        : NaN;
+    };
+
+    // index into BUDGET_STEPS per setting
+    let steps = Object.fromEntries(
+      Object.keys(BUDGET_STEPS).map((key) => [key, 0])
+    );
+    let run = await evaluate(steps);
+    let error = null;
+    while (run.count > budget) {
+      const candidates = [];
+      for (const [key, values] of Object.entries(BUDGET_STEPS)) {
+        if (steps[key] + 1 >= values.length) continue;
+        const next = { ...steps, [key]: steps[key] + 1 };
+        candidates.push({ steps: next, run: await evaluate(next) });
+      }
+      // coarsest everywhere: over budget
+      if (candidates.length === 0) break;
+
+      const fitting = candidates.filter((c) => c.run.count <= budget);
+      for (const candidate of fitting) {
+        candidate.error = await measureError(candidate.run);
+      }
+      const best =
+        fitting.length > 0
+          ? fitting.reduce((a, b) => (b.error < a.error ? b : a))
+          : candidates.reduce((a, b) => (b.run.count < a.run.count ? b : a));
+      ({ steps, run } = best);
+      error = best.error ?? null;
+    }
+    error ??= await measureError(run);
+
+    return {
+      run,
+      settings: {
+        ...getBudgetSettings(steps),
+        count: run.count,
+        fits: run.count <= budget,
+        error,
+      },
+    };
+  }
+
+  // settings at the given index of each BUDGET_STEPS list
+  function getBudgetSettings(steps) {
+    return Object.fromEntries(
+      Object.entries(BUDGET_STEPS).map(([key, values]) => [
+        key,
+        values[steps[key]],
+      ])
+    );
+  }
+
+  // bounding box of the source in the space of its polygons
+  function getSourceBounds(entry, original) {
+    if (entry.image) {
+      return { x: 0, y: 0, width: entry.image.width };
     }
-    const sampleValue = samplerateSlider.value;
+    const { x, y, width } = original.bbox().transform(original.matrixify());
+    return { x, y, width };
+  }
+
+  function drawResult(entry) {
+    const { polygons, display, coverage } = entry;
     const polygonGroup =
       draw.findOne("#polygon-svg") ?? draw.group().id("polygon-svg");
     const displayGroup =
       draw.findOne("#display-svg") ?? draw.group().id("display-svg");
-
-    const polygons = toPolygons(original, sampleValue);
-    const displays = polygons.reduce((acc, polygon) => {
-      const display = toDisplay(polygon);
-      if (display) acc.push(display);
-      return acc;
-    }, []);
-
-    resultDisplay = Display.nestedDisplay(displays);
+    resultDisplay = display;
 
     // draw border
     polygons.forEach((poly) => {
       drawPolygon(draw, poly).forEach((el) => polygonGroup.add(el));
     });
     // draw display
-    drawDisplay(draw, resultDisplay).forEach((el) => displayGroup.add(el));
+    drawDisplay(draw, display).forEach((el) => displayGroup.add(el));
+    // draw coverage error: over-filled red, missed blue
+    const coverageGroup =
+      draw.findOne("#coverage-svg") ?? draw.group().id("coverage-svg");
+    if (coverage) {
+      drawArea(draw, coverage.over, { color: "#f33" }).forEach((el) =>
+        coverageGroup.add(el)
+      );
+      drawArea(draw, coverage.under, { color: "#39f" }).forEach((el) =>
+        coverageGroup.add(el)
+      );
+    }
 
     // update counts
     polygonCount.textContent = polygons.length;
@@ -306,69 +817,259 @@ document.addEventListener("DOMContentLoaded", async () => {
       (sum, poly) => sum + poly.getVertexCount(),
       0
     );
-    displayCount.textContent = resultDisplay.getTotalDisplayCount();
+    displayCount.textContent = display.getTotalDisplayCount();
+    overCoverage.textContent = formatCoverage(coverage?.overArea, entry);
+    underCoverage.textContent = formatCoverage(coverage?.underArea, entry);
+    removedCoverage.textContent = formatCoverage(entry.removedArea, entry);
+    convertTime.textContent = formatTimings(entry.timings);
+    showBudgetResult(entry.budget);
+    showSampleWarnings(entry.warnings);
 
     // enable summon button
     summonButton.removeAttribute("disabled");
+    exportButton.removeAttribute("disabled");
     summonButtonTooltip.setAttribute("disabled", "");
   }
 
-  function loadSVGFromFiles(files) {
-    const file = files[0];
-    if (!file || file.type !== "image/svg+xml") {
-      alert("Please upload a valid SVG file.");
+  function showBudgetResult(budget) {
+    budgetResult.classList.toggle("hidden", !budget);
+    if (!budget) return;
+    if (budget.skipped) {
+      budgetResult.textContent =
+        "Display budget does not apply to pixel images.";
       return;
     }
 
-    const reader = new FileReader();
-    reader.onerror = () => {
-      alert("Failed to read the SVG file.");
-    };
-    reader.onload = (event) => {
-      uploadPopup.classList.add("hidden");
-      draw.clear();
-      const svgText = event.target.result;
-
-      const modifiedSVG = removeTransformationsFromSVG(stripOuterSVG(svgText));
-      const group = draw.group().id("original-svg");
-      group.svg(modifiedSVG);
-
-      requestAnimationFrame(() => {
-        const bbox = draw.bbox();
-        applyViewboxAndZoom(bbox);
-        visualizeDrawBBox(bbox);
-      });
+    const error = Number.isFinite(budget.error)
+      ? `${(budget.error * 100).toFixed(2)}%`
+      : "n/a";
+    budgetResult.textContent =
+      `${budget.fits ? "" : "Over budget! "}` +
+      `curve ${budget.curveTolerance} / simplify ${budget.simplifyTolerance} / ` +
+      `min thickness ${budget.minThickness} blocks, ` +
+      `min area ${budget.minArea} blocks², ` +
+      `${budget.count} displays, error ${error}`;
+  }
+
+  function showSampleWarnings(warnings = []) {
+    sampleWarning.classList.toggle("hidden", warnings.length === 0);
+    sampleWarning.textContent = warnings.join(" ");
+  }
+
+  function formatTimings({ sample, prepare, decompose, coverage }) {
+    const ms = (time) => `${Math.round(time)} ms`;
+    return (
+      `sample ${ms(sample)}, prepare ${ms(prepare)}, ` +
+      `decompose ${ms(decompose)}, coverage ${ms(coverage)}`
+    );
+  }
+
+  // area in blocks² and percentage of the source area
+  function formatCoverage(area, { coverage, blockSize }) {
+    if (area === undefined || !(coverage?.sourceArea > 0)) return "n/a";
+    const blocks = area / (blockSize * blockSize);
+    const percent = (area / coverage.sourceArea) * 100;
+    return `${blocks.toFixed(3)} blocks² (${percent.toFixed(2)}%)`;
+  }
+
+  async function downloadCommands() {
+    const downloading = entries;
+    if (downloading.some((entry) => !entry.display)) {
+      // cancelled, or replaced by new files
+      if (!(await convertAllEntries())) return;
+    }
+
+    const skipped = downloading.filter((entry) => !entry.display);
+    if (skipped.length === downloading.length) {
+      alert("No file could be converted.");
+      return;
+    }
+    if (
+      skipped.length > 0 &&
+      !confirm(
+        "These files could not be converted and are left out:\n" +
+          `${skipped.map((entry) => entry.name).join("\n")}\n\n` +
+          "Download the others?"
+      )
+    )
+      return;
+
+    const files = {};
+    for (const entry of downloading) {
+      if (!entry.display) continue;
+      const base = toFunctionName(entry.name.replace(/\.[^.]*$/, ""));
+      let name = base;
+      for (let i = 2; files[`${name}.mcfunction`]; i++) name = `${base}_${i}`;
+
+      const [command] = await buildCommands(entry);
+      files[`${name}.mcfunction`] = strToU8(`${command}\n`);
+    }
+
+    const blob = new Blob([zipSync(files)], { type: "application/zip" });
+    downloadBlob(blob, "SVGtoDisplay.zip");
+  }
+
+  // validated namespace and function path of the export dialog, or null
+  function readExportTarget() {
+    const namespace = namespaceInput.value.trim();
+    const name = functionNameInput.value.trim();
+    if (!NAMESPACE_PATTERN.test(namespace)) {
+      alert('Namespace may only contain a-z, 0-9, "_", "-" and ".".');
+      return null;
+    }
+    if (!FUNCTION_PATTERN.test(name)) {
+      alert('Function name may only contain a-z, 0-9, "_", "-", "." and "/".');
+      return null;
+    }
+    return { namespace, name };
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function loadSVGFromFiles(files) {
+    const supported = [...files].filter(
+      (file) =>
+        file.type === "image/svg+xml" || PIXEL_IMAGE_TYPES.includes(file.type)
+    );
+    if (supported.length === 0) {
+      alert("Please upload a valid SVG, PNG, GIF or WebP file.");
+      return;
+    }
+
+    const loaded = await Promise.all(
+      supported.map((file) =>
+        readEntry(file).catch((err) => {
+          console.error(`FAILED reading ${file.name}: `, err);
+          return null;
+        })
+      )
+    );
+    if (loaded.includes(null)) alert("Some files could not be read.");
+    if (loaded.every((entry) => !entry)) return;
+
+    cancelConversion();
+    entries = loaded.filter((entry) => entry);
+    updateSidebar();
+    showEntry(0);
+  }
+
+  async function readEntry(file) {
+    const entry = {
+      name: file.name,
+      source: null,
+      image: null,
+      polygons: null,
+      display: null,
     };
-    reader.readAsText(file);
+    if (file.type === "image/svg+xml") {
+      entry.source = await file.text();
+    } else {
+      entry.source = await readAsDataURL(file);
+      entry.image = await loadImageData(file);
+    }
+    return entry;
+  }
 
-    updateSidebar(file.name);
+  function readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(reader.error);
+      reader.onload = () => resolve(reader.result);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  function showEntry(index) {
+    currentIndex = index;
+    const entry = entries[index];
+    uploadPopup.classList.add("hidden");
+    draw.clear();
+    resultDisplay = null;
+
+    const group = draw.group().id("original-svg");
+    if (entry.image) {
+      // one pixel is one unit, same as the converted rectangles
+      group
+        .image(entry.source)
+        .size(entry.image.width, entry.image.height)
+        .attr("image-rendering", "pixelated");
+    } else {
+      const { content, matrix } = stripOuterSVG(entry.source);
+      group.svg(content);
+      group.attr("transform", matrix.toString());
+    }
+
+    resetDisplayStats();
+    if (entry.display) drawResult(entry);
+    renderFileList();
+
+    cancelAnimationFrame(viewFrame);
+    viewFrame = requestAnimationFrame(() => {
+      const bbox = draw.bbox();
+      applyViewboxAndZoom(bbox);
+      visualizeDrawBBox(bbox);
+    });
+  }
+
+  function renderFileList() {
+    fileCountLabel.textContent =
+      entries.length === 1 ? entries[0].name : `${entries.length} files`;
+
+    fileList.replaceChildren(
+      ...entries.map((entry, i) => {
+        const item = document.createElement("div");
+        item.className = i === currentIndex ? "file-item active" : "file-item";
+        item.title = entry.name;
+
+        const name = document.createElement("span");
+        name.className = "file-name";
+        name.textContent = entry.name;
+        const status = document.createElement("span");
+        status.className = "file-status";
+        status.textContent = entry.display
+          ? `${entry.display.getTotalDisplayCount()} displays`
+          : "";
+
+        item.append(name, status);
+        item.addEventListener("click", () => {
+          if (!isConverting) showEntry(i);
+        });
+        return item;
+      })
+    );
   }
 
   function resetDisplayStats() {
     polygonCount.textContent =
       verticeCount.textContent =
       displayCount.textContent =
+      overCoverage.textContent =
+      underCoverage.textContent =
+      removedCoverage.textContent =
+      convertTime.textContent =
         "?";
+    showBudgetResult(null);
+    showSampleWarnings();
     summonButton.setAttribute("disabled", "");
+    exportButton.setAttribute("disabled", "");
     summonButtonTooltip.removeAttribute("disabled");
     Object.entries(toggleButtons).forEach(([selector, button]) => {
       button.name = "eye";
     });
-    longCommandAlert.classList.add("hidden");
+    splitCommandAlert.classList.add("hidden");
   }
 
-  function updateSidebar(fileName) {
+  function updateSidebar() {
     // open sidebar
     sidebar.classList.add("open");
     sidebarToggleButton.classList.remove("hidden");
-
-    // update filename
-    const filenameLabel = $("filename-label");
-    if (filenameLabel && fileName) {
-      filenameLabel.textContent = fileName;
-    }
-
-    resetDisplayStats();
   }
 
   function applyViewboxAndZoom(bbox, scale = 0.4) {
@@ -392,26 +1093,9 @@ document.addEventListener("DOMContentLoaded", async () => {
     const parser = new DOMParser();
     const doc = parser.parseFromString(svgText, "image/svg+xml");
     const inner = doc.documentElement.innerHTML;
-    return inner;
-  }
-
-  function removeTransformationsFromSVG(svgText) {
-    return svgText.replace(/transform="([^"]*)"/g, (match, content) => {
-      const blacklist = ["scale", "rotate", "translate"];
-
-      const kept = content
-        .split(/\)\s*/g)
-        .map((cmd) => cmd.trim())
-        .filter((cmd) => cmd.length > 0)
-        .map((cmd) => cmd + ")")
-        .filter((cmd) => !blacklist.some((b) => cmd.startsWith(b)));
-
-      if (kept.length === 0) {
-        return "";
-      }
-
-      return `transform="${kept.join(" ")}"`;
-    });
+    // outer <svg> viewBox, preserveAspectRatio and transform
+    const matrix = getRootMatrix(doc.documentElement);
+    return { content: inner, matrix };
   }
 
   function visualizeDrawBBox(bbox) {
@@ -0,0 +1,307 @@
+import { vec2 } from "./utils.js";
+
+const ROUND_SEGMENTS = 24;
+const EPSILON = 1e-9;
+
+/**
+ * @typedef {object} StrokeStyle
+ * @property {number} width
+ * @property {"miter" | "round" | "bevel" | "miter-clip" | "arcs"} [linejoin="miter"]
+ * @property {"butt" | "round" | "square"} [linecap="butt"]
+ * @property {number} [miterlimit=4]
+ * @property {number[]} [dasharray=[]]
+ * @property {number} [dashoffset=0]
+ */
+
+/**
+ * Reads computed stroke style of element.
+ * @param {SVG.Element} el
+ * @returns {StrokeStyle}
+ */
+export function getStrokeStyle(el) {
+  const style = window.getComputedStyle(el.node);
+  const dasharray =
+    style.strokeDasharray === "none"
+      ? []
+      : style.strokeDasharray
+          .split(/[\s,]+/)
+          .filter((v) => v.length > 0)
+          .map((v) => parseFloat(v));
+
+  return {
+    width: parseFloat(style.strokeWidth) || 0,
+    linejoin: style.strokeLinejoin,
+    linecap: style.strokeLinecap,
+    miterlimit: parseFloat(style.strokeMiterlimit) || 4,
+    dasharray,
+    dashoffset: parseFloat(style.strokeDashoffset) || 0,
+  };
+}
+
+/**
+ * Expands polylines into filled stroke outline.
+ * @param {Array<{points: [number, number][], closed: boolean}>} paths
+ * @param {StrokeStyle} style
+ * @returns {[number, number][][][]} stroke area (multipolygon)
+ */
+export function strokeToPolygons(paths, style) {
+  const {
+    width,
+    linejoin = "miter",
+    linecap = "butt",
+    miterlimit = 4,
+    dasharray = [],
+    dashoffset = 0,
+  } = style;
+  if (!(width > 0)) return [];
+
+  const halfWidth = width / 2;
+  const pieces = [];
+
+  for (const path of paths) {
+    const points = removeDuplicates(path.points);
+    if (path.closed && points.length > 1) {
+      if (vec2.equal(points[0], points[points.length - 1])) points.pop();
+    }
+
+    const lines = isDashed(dasharray)
+      ? splitDashes(points, path.closed, dasharray, dashoffset).map((p) => ({
+          points: p,
+          closed: false,
+        }))
+      : [{ points, closed: path.closed && points.length > 2 }];
+
+    for (const line of lines) {
+      pieces.push(
+        ...strokePolyline(line.points, line.closed, halfWidth, {
+          linejoin,
+          linecap,
+          miterlimit,
+        })
+      );
+    }
+  }
+
+  const valid = pieces.filter((piece) => Math.abs(signedArea(piece)) > EPSILON);
+  if (valid.length === 0) return [];
+
+  return polygonClipping.union(...valid.map((piece) => [[piece]]));
+}
+
+/**
+ * Stroke outline pieces of a single polyline.
+ * @param {[number, number][]} points
+ * @param {boolean} closed
+ * @param {number} halfWidth
+ * @param {{linejoin: string, linecap: string, miterlimit: number}} options
+ * @returns {[number, number][][]}
+ */
+function strokePolyline(points, closed, halfWidth, options) {
+  const { linejoin, linecap, miterlimit } = options;
+  const pieces = [];
+
+  // zero length subpath: only caps are drawn
+  if (points.length === 1) {
+    const [p] = points;
+    if (linecap === "round") pieces.push(circle(p, halfWidth));
+    if (linecap === "square") pieces.push(squareCap(p, [1, 0], halfWidth));
+    return pieces;
+  }
+
+  const segmentCount = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const n = vec2.scale(
+      perpendicular(vec2.normalize(vec2.sub(b, a))),
+      halfWidth
+    );
+    pieces.push([
+      vec2.add(a, n),
+      vec2.add(b, n),
+      vec2.sub(b, n),
+      vec2.sub(a, n),
+    ]);
+  }
+
+  // joins
+  const first = closed ? 0 : 1;
+  const last = closed ? points.length : points.length - 1;
+  for (let i = first; i < last; i++) {
+    const n = points.length;
+    const a = points[(i - 1 + n) % n];
+    const b = points[i];
+    const c = points[(i + 1) % n];
+    const join = lineJoin(a, b, c, halfWidth, linejoin, miterlimit);
+    if (join) pieces.push(join);
+  }
+
+  // caps
+  if (!closed && linecap !== "butt") {
+    const start = points[0];
+    const end = points[points.length - 1];
+    const startDir = vec2.normalize(vec2.sub(start, points[1]));
+    const endDir = vec2.normalize(vec2.sub(end, points[points.length - 2]));
+    if (linecap === "round") {
+      pieces.push(circle(start, halfWidth), circle(end, halfWidth));
+    } else if (linecap === "square") {
+      pieces.push(
+        squareCap(start, startDir, halfWidth),
+        squareCap(end, endDir, halfWidth)
+      );
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Join piece at b, between segments a-b and b-c.
+ * @returns {[number, number][] | null}
+ */
+function lineJoin(a, b, c, halfWidth, linejoin, miterlimit) {
+  const d1 = vec2.normalize(vec2.sub(b, a));
+  const d2 = vec2.normalize(vec2.sub(c, b));
+  const cross = vec2.cross(d1, d2);
+  const dot = vec2.dot(d1, d2);
+  if (Math.abs(cross) < EPSILON && dot > 0) return null; // straight
+
+  if (linejoin === "round") return circle(b, halfWidth);
+
+  // outer side of the turn
+  const side = cross > 0 ? -1 : 1;
+  const n1 = vec2.scale(perpendicular(d1), halfWidth * side);
+  const n2 = vec2.scale(perpendicular(d2), halfWidth * side);
+  const o1 = vec2.add(b, n1);
+  const o2 = vec2.add(b, n2);
+
+  const cosHalf = Math.sqrt(Math.max(0, (1 + dot) / 2));
+  if (linejoin !== "bevel" && cosHalf > EPSILON && 1 / cosHalf <= miterlimit) {
+    const bisector = vec2.normalize(vec2.add(n1, n2));
+    const tip = vec2.add(b, vec2.scale(bisector, halfWidth / cosHalf));
+    return [b, o1, tip, o2];
+  }
+  return [b, o1, o2];
+}
+
+/**
+ * Square cap at p, extended toward dir.
+ * @returns {[number, number][]}
+ */
+function squareCap(p, dir, halfWidth) {
+  const d = vec2.scale(dir, halfWidth);
+  const n = vec2.scale(perpendicular(dir), halfWidth);
+  return [
+    vec2.add(p, n),
+    vec2.add(vec2.add(p, n), d),
+    vec2.add(vec2.sub(p, n), d),
+    vec2.sub(p, n),
+  ];
+}
+
+/**
+ * @param {[number, number]} center
+ * @param {number} radius
+ * @returns {[number, number][]}
+ */
+function circle([cx, cy], radius) {
+  return Array.from({ length: ROUND_SEGMENTS }, (_, i) => {
+    const angle = (2 * Math.PI * i) / ROUND_SEGMENTS;
+    return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+  });
+}
+
+/**
+ * Splits polyline into dashes.
+ * @param {[number, number][]} points
+ * @param {boolean} closed
+ * @param {number[]} dasharray
+ * @param {number} dashoffset
+ * @returns {[number, number][][]} dash polylines
+ */
+function splitDashes(points, closed, dasharray, dashoffset) {
+  const pattern =
+    dasharray.length % 2 ? [...dasharray, ...dasharray] : dasharray;
+  const patternLength = pattern.reduce((sum, v) => sum + v, 0);
+  const path = closed ? [...points, points[0]] : points;
+
+  // find starting dash from offset
+  let offset = ((dashoffset % patternLength) + patternLength) % patternLength;
+  let index = 0;
+  while (offset >= pattern[index]) {
+    offset -= pattern[index];
+    index = (index + 1) % pattern.length;
+  }
+  let remain = pattern[index] - offset;
+
+  const dashes = [];
+  let current = index % 2 === 0 ? [path[0]] : null;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+    const length = vec2.length(vec2.sub(b, a));
+    let pos = 0;
+
+    while (length - pos > remain) {
+      pos += remain;
+      const p = vec2.add(a, vec2.scale(vec2.sub(b, a), pos / length));
+      if (current) {
+        current.push(p);
+        dashes.push(current);
+        current = null;
+      } else {
+        current = [p];
+      }
+      index = (index + 1) % pattern.length;
+      remain = pattern[index];
+    }
+    remain -= length - pos;
+    if (current) current.push(b);
+  }
+  if (current) dashes.push(current);
+
+  return dashes.map(removeDuplicates);
+}
+
+/**
+ * @param {number[]} dasharray
+ * @returns {boolean}
+ */
+function isDashed(dasharray) {
+  return (
+    dasharray.length > 0 &&
+    dasharray.every((v) => Number.isFinite(v) && v >= 0) &&
+    dasharray.some((v) => v > 0)
+  );
+}
+
+/**
+ * @param {[number, number][]} points
+ * @returns {[number, number][]}
+ */
+function removeDuplicates(points) {
+  return points.filter((p, i) => i === 0 || !vec2.equal(p, points[i - 1]));
+}
+
+/**
+ * @param {[number, number]} v
+ * @returns {[number, number]} v rotated by 90 degrees
+ */
+function perpendicular([x, y]) {
+  return [-y, x];
+}
+
+/**
+ * @param {[number, number][]} ring
+ * @returns {number}
+ */
+function signedArea(ring) {
+  return (
+    0.5 *
+    ring.reduce((acc, [x1, y1], i) => {
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      return acc + (x1 * y2 - x2 * y1);
+    }, 0)
+  );
+}
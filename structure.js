@@ -0,0 +1,42 @@
+import { nbt, TAG, writeNBT } from "./utils.js";
+import { gzipSync } from "https://cdn.jsdelivr.net/npm/fflate@0.8.2/+esm";
+import { LATEST_VERSION } from "./versions.js";
+
+/**
+ * Builds a structure file with a row of command blocks along +X, running the commands in order.
+ * The first block is an impulse command block that needs redstone power (e.g. a button),
+ * the rest are chain command blocks that are always active.
+ * @param {string[]} commands
+ * @param {object} [version] - one of VERSIONS, for DataVersion
+ * @returns {Uint8Array} gzipped NBT, for a structure block or /place template
+ */
+export function createStructure(commands, version = LATEST_VERSION) {
+  const palette = ["command_block", "chain_command_block"].map((block) => ({
+    Name: `minecraft:${block}`,
+    Properties: { conditional: "false", facing: "east" },
+  }));
+
+  const blocks = commands.map((command, i) => ({
+    state: i === 0 ? 0 : 1,
+    pos: nbt.list(TAG.Int, [i, 0, 0]),
+    nbt: {
+      id: "minecraft:command_block",
+      Command: command,
+      auto: nbt.byte(i > 0),
+      powered: nbt.byte(false),
+      conditionMet: nbt.byte(false),
+      TrackOutput: nbt.byte(true),
+      UpdateLastExecution: nbt.byte(true),
+    },
+  }));
+
+  return gzipSync(
+    writeNBT({
+      DataVersion: nbt.int(version.dataVersion),
+      size: nbt.list(TAG.Int, [commands.length, 1, 1]),
+      palette: nbt.list(TAG.Compound, palette),
+      blocks: nbt.list(TAG.Compound, blocks),
+      entities: nbt.list(TAG.Compound, []),
+    })
+  );
+}
@@ -0,0 +1,66 @@
+import opentype from "https://cdn.jsdelivr.net/npm/opentype.js@1.3.4/+esm";
+
+/**
+ * Parses font file (TTF / OTF / WOFF).
+ * @param {File} file
+ * @returns {Promise<opentype.Font>}
+ */
+export async function loadFont(file) {
+  const buffer = await file.arrayBuffer();
+  return opentype.parse(buffer);
+}
+
+/**
+ * Converts <text> into glyph outlines, in the user space of <text>.
+ * Each run starts at the position laid out by the browser,
+ * and glyphs (with kerning) are taken from the given font.
+ * @param {SVG.Element} el - <text> element
+ * @param {opentype.Font} font
+ * @returns {Array<{node: Element, d: string}>} path data grouped by the element that styles it (<text> or <tspan>)
+ */
+export function textToPathData(el, font) {
+  const textNode = el.node;
+  const walker = document.createTreeWalker(textNode, NodeFilter.SHOW_TEXT);
+  const charCount = textNode.getNumberOfChars();
+
+  /** @type {Map<Element, string[]>} */
+  const runs = new Map();
+  let charIndex = 0;
+  let prevSpace = true;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    // collapse white space like xml:space="default"
+    let text = node.data.replace(/[\n\r\t]/g, " ").replace(/ +/g, " ");
+    if (prevSpace && text.startsWith(" ")) text = text.slice(1);
+    text = text.slice(0, charCount - charIndex);
+    if (text.length === 0) continue;
+    prevSpace = text.endsWith(" ");
+
+    const parent = node.parentNode;
+    const style = window.getComputedStyle(parent);
+    const fontSize = parseFloat(style.fontSize) || 16;
+
+    let start;
+    let browserWidth;
+    try {
+      start = textNode.getStartPositionOfChar(charIndex);
+      browserWidth = textNode.getSubStringLength(charIndex, text.length);
+    } catch {
+      break;
+    }
+    charIndex += text.length;
+
+    // keep text-anchor of the browser layout
+    const fontWidth = font.getAdvanceWidth(text, fontSize);
+    const anchor = style.textAnchor;
+    const shift = anchor === "middle" ? 0.5 : anchor === "end" ? 1 : 0;
+    const x = start.x + (browserWidth - fontWidth) * shift;
+
+    const d = font.getPath(text, x, start.y, fontSize).toPathData(4);
+    if (!d) continue;
+    if (!runs.has(parent)) runs.set(parent, []);
+    runs.get(parent).push(d);
+  }
+
+  return [...runs].map(([node, paths]) => ({ node, d: paths.join(" ") }));
+}
@@ -0,0 +1,148 @@
+const UNIT_TO_PX = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  pt: 96 / 72,
+  pc: 16,
+  em: 16,
+  ex: 8,
+};
+
+/**
+ * Returns the matrix from element user space to root space.
+ * Includes transforms of every ancestor up to root (inclusive) and nested <svg> viewports.
+ * @param {SVG.Element} el
+ * @param {SVG.Element} root
+ * @returns {SVG.Matrix}
+ */
+export function getElementMatrix(el, root) {
+  let matrix = el.matrixify();
+  let node = el.node;
+
+  while (node !== root.node && node.parentNode instanceof SVGElement) {
+    node = node.parentNode;
+    let nodeMatrix = SVG(node).matrixify();
+    if (node.localName === "svg" && node !== root.node) {
+      nodeMatrix = nodeMatrix.multiply(getViewportMatrix(readViewport(node)));
+    }
+    matrix = nodeMatrix.multiply(matrix);
+  }
+
+  return matrix;
+}
+
+/**
+ * Largest scale factor of matrix (max singular value of its linear part).
+ * @param {SVG.Matrix} matrix
+ * @returns {number}
+ */
+export function getMaxScale({ a, b, c, d }) {
+  const sum = a * a + b * b + c * c + d * d;
+  const det = a * d - b * c;
+  return Math.sqrt(
+    (sum + Math.sqrt(Math.max(0, sum * sum - 4 * det * det))) / 2
+  );
+}
+
+/**
+ * Returns the matrix of outermost <svg> (transform, viewBox and preserveAspectRatio).
+ * @param {SVGSVGElement} svgNode
+ * @returns {SVG.Matrix}
+ */
+export function getRootMatrix(svgNode) {
+  const { width, height, viewBox, preserveAspectRatio } = readViewport(svgNode);
+  const transform = svgNode.getAttribute("transform");
+  const matrix = transform
+    ? new SVG.G().attr("transform", transform).matrixify()
+    : new SVG.Matrix();
+
+  return matrix.multiply(
+    getViewportMatrix({ width, height, viewBox, preserveAspectRatio })
+  );
+}
+
+/**
+ * Viewport attributes of <svg> or <symbol>.
+ * Unknown or relative (%) width and height are undefined.
+ * @param {Element} node
+ * @returns {{x: number, y: number, width?: number, height?: number, viewBox: number[] | null, preserveAspectRatio: string}}
+ */
+export function readViewport(node) {
+  const viewBox = node
+    .getAttribute("viewBox")
+    ?.trim()
+    .split(/[\s,]+/)
+    .map(parseFloat);
+
+  return {
+    x: parseLength(node.getAttribute("x")) ?? 0,
+    y: parseLength(node.getAttribute("y")) ?? 0,
+    width: parseLength(node.getAttribute("width")),
+    height: parseLength(node.getAttribute("height")),
+    viewBox:
+      viewBox?.length === 4 && viewBox.every(Number.isFinite) ? viewBox : null,
+    preserveAspectRatio:
+      node.getAttribute("preserveAspectRatio") ?? "xMidYMid meet",
+  };
+}
+
+/**
+ * Returns the viewBox to viewport matrix.
+ * @param {{x?: number, y?: number, width?: number, height?: number, viewBox?: number[] | null, preserveAspectRatio?: string}} viewport
+ * @returns {SVG.Matrix}
+ */
+export function getViewportMatrix({
+  x = 0,
+  y = 0,
+  width,
+  height,
+  viewBox,
+  preserveAspectRatio = "xMidYMid meet",
+}) {
+  if (!viewBox) return new SVG.Matrix(1, 0, 0, 1, x, y);
+
+  const [minX, minY, vbWidth, vbHeight] = viewBox;
+  if (vbWidth <= 0 || vbHeight <= 0) return new SVG.Matrix(1, 0, 0, 1, x, y);
+
+  const viewWidth = width ?? vbWidth;
+  const viewHeight = height ?? vbHeight;
+  let sx = viewWidth / vbWidth;
+  let sy = viewHeight / vbHeight;
+
+  const [align = "xMidYMid", meetOrSlice = "meet"] = preserveAspectRatio
+    .replace("defer", "")
+    .trim()
+    .split(/\s+/);
+
+  if (align === "none") {
+    return new SVG.Matrix(sx, 0, 0, sy, x - minX * sx, y - minY * sy);
+  }
+
+  const s = meetOrSlice === "slice" ? Math.max(sx, sy) : Math.min(sx, sy);
+  let tx = x - minX * s;
+  let ty = y - minY * s;
+  const freeX = viewWidth - vbWidth * s;
+  const freeY = viewHeight - vbHeight * s;
+
+  if (align.includes("xMid")) tx += freeX / 2;
+  else if (align.includes("xMax")) tx += freeX;
+  if (align.includes("YMid")) ty += freeY / 2;
+  else if (align.includes("YMax")) ty += freeY;
+
+  return new SVG.Matrix(s, 0, 0, s, tx, ty);
+}
+
+/**
+ * Parses absolute length to px.
+ * @param {string | null} value
+ * @returns {number | undefined} undefined if empty or relative (%)
+ */
+function parseLength(value) {
+  const match = value?.trim().match(/^([+-]?[\d.]+(?:e[+-]?\d+)?)([a-z]*)$/i);
+  if (!match) return undefined;
+
+  const unit = match[2].toLowerCase() || "px";
+  if (!(unit in UNIT_TO_PX)) return undefined;
+  return parseFloat(match[1]) * UNIT_TO_PX[unit];
+}
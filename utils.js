@@ -16,8 +16,43 @@ export const vec2 = {
   isParallel: (a, b) => Math.abs(vec2.cross(a, b)) < EPSILON,
 };
 
+/**
+ * @param {[number, number]} p
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number} distance from p to segment [a-b]
+ */
+export function distanceToSegment(p, a, b) {
+  const ab = vec2.sub(b, a);
+  const lengthSquared = vec2.dot(ab, ab);
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.min(1, Math.max(0, vec2.dot(vec2.sub(p, a), ab) / lengthSquared));
+  return vec2.length(vec2.sub(p, vec2.add(a, vec2.scale(ab, t))));
+}
+
 export function stringifyLiteral(obj) {
   if (obj === null) return "null";
+  if (obj instanceof NBTTag) {
+    if (obj.type === TAG.List) {
+      const { type, items } = obj.value;
+      return stringifyLiteral(
+        items.map((item) =>
+          item instanceof NBTTag ? item : new NBTTag(type, item)
+        )
+      );
+    }
+    // lists must not mix number types before 1.21.5, so typed numbers keep their suffix
+    if (obj.type in NUMBER_SUFFIX)
+      return `${obj.value}${NUMBER_SUFFIX[obj.type]}`;
+    // single quotes keep a JSON text quoted
+    if (obj.type === TAG.String && obj.value.includes('"')) {
+      const escaped = obj.value.replaceAll("\\", "\\\\").replaceAll("'", "\\'");
+      return `'${escaped}'`;
+    }
+    return stringifyLiteral(obj.value);
+  }
   if (typeof obj === "number") {
     return obj;
   }
@@ -35,6 +70,258 @@ export function stringifyLiteral(obj) {
   return String(obj); // numbers, booleans, undefined
 }
 
+/**
+ * Rotation of Minecraft coordinates (X east, Y up, Z south) in degrees, same as entity rotation:
+ * yaw 0 faces south, 90 west. pitch -90 faces up, 90 down. roll turns around the facing.
+ * Returns Ry(-yaw) * Rx(pitch) * Rz(roll), which turns the +Z normal to the facing.
+ * @param {{yaw: number, pitch: number, roll: number}} orientation
+ * @returns {number[][]} 3x3 matrix, rounded to 12 digits
+ */
+export function getRotationMatrix({ yaw = 0, pitch = 0, roll = 0 }) {
+  const rad = Math.PI / 180;
+  const [cy, sy] = [Math.cos(-yaw * rad), Math.sin(-yaw * rad)];
+  const [cp, sp] = [Math.cos(pitch * rad), Math.sin(pitch * rad)];
+  const [cr, sr] = [Math.cos(roll * rad), Math.sin(roll * rad)];
+
+  const ry = [
+    [cy, 0, sy],
+    [0, 1, 0],
+    [-sy, 0, cy],
+  ];
+  const rx = [
+    [1, 0, 0],
+    [0, cp, -sp],
+    [0, sp, cp],
+  ];
+  const rz = [
+    [cr, -sr, 0],
+    [sr, cr, 0],
+    [0, 0, 1],
+  ];
+  // cos(90°) is not exactly 0
+  return multiplyMatrix(multiplyMatrix(ry, rx), rz).map((row) =>
+    row.map((v) => Math.round(v * 1e12) / 1e12 || 0)
+  );
+}
+
+/**
+ * @param {number[][]} a - n x m
+ * @param {number[][]} b - m x k
+ * @returns {number[][]} n x k
+ */
+export function multiplyMatrix(a, b) {
+  return a.map((row) =>
+    b[0].map((_, j) => row.reduce((sum, v, k) => sum + v * b[k][j], 0))
+  );
+}
+
+/** NBT tag type ids */
+export const TAG = {
+  End: 0,
+  Byte: 1,
+  Short: 2,
+  Int: 3,
+  Long: 4,
+  Float: 5,
+  Double: 6,
+  ByteArray: 7,
+  String: 8,
+  List: 9,
+  Compound: 10,
+  IntArray: 11,
+  LongArray: 12,
+};
+
+// SNBT suffixes of typed numbers; Int has none
+const NUMBER_SUFFIX = {
+  [TAG.Byte]: "b",
+  [TAG.Short]: "s",
+  [TAG.Long]: "L",
+  [TAG.Float]: "f",
+  [TAG.Double]: "d",
+};
+
+/**
+ * Typed NBT value. Plain values are typed by writeNBT:
+ * string as String, object as Compound, boolean as Byte,
+ * integer as Int, other number as Double, array as List of its first item type.
+ */
+export class NBTTag {
+  /**
+   * @param {number} type - one of TAG
+   * @param {*} value - {type, items} for List
+   */
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+/** Typed NBT value constructors */
+export const nbt = {
+  byte: (value) => new NBTTag(TAG.Byte, Number(value)),
+  short: (value) => new NBTTag(TAG.Short, value),
+  int: (value) => new NBTTag(TAG.Int, value),
+  long: (value) => new NBTTag(TAG.Long, BigInt(value)),
+  float: (value) => new NBTTag(TAG.Float, Number(value)),
+  double: (value) => new NBTTag(TAG.Double, Number(value)),
+  string: (value) => new NBTTag(TAG.String, value),
+  /**
+   * @param {number} type - item type, one of TAG
+   * @param {Array} items - plain or typed values of the type
+   */
+  list: (type, items) => new NBTTag(TAG.List, { type, items }),
+  intArray: (values) => new NBTTag(TAG.IntArray, values),
+};
+
+/**
+ * Serializes a compound into binary NBT (big-endian, uncompressed).
+ * @param {object} root - compound
+ * @param {string} [name=""] - name of the root tag
+ * @returns {Uint8Array}
+ */
+export function writeNBT(root, name = "") {
+  const writer = new ByteWriter();
+  writer.u8(TAG.Compound);
+  writer.string(name);
+  writePayload(writer, TAG.Compound, root);
+  return writer.bytes();
+}
+
+function getTagType(value) {
+  if (value instanceof NBTTag) return value.type;
+  if (typeof value === "string") return TAG.String;
+  if (typeof value === "boolean") return TAG.Byte;
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? TAG.Int : TAG.Double;
+  }
+  if (typeof value === "bigint") return TAG.Long;
+  if (Array.isArray(value)) return TAG.List;
+  if (typeof value === "object" && value !== null) return TAG.Compound;
+  throw new TypeError(`Unsupported NBT value: ${value}`);
+}
+
+function writePayload(writer, type, value) {
+  const raw = value instanceof NBTTag ? value.value : value;
+  switch (type) {
+    case TAG.Byte:
+      writer.i8(Number(raw));
+      break;
+    case TAG.Short:
+      writer.i16(raw);
+      break;
+    case TAG.Int:
+      writer.i32(raw);
+      break;
+    case TAG.Long:
+      writer.i64(BigInt(raw));
+      break;
+    case TAG.Float:
+      writer.f32(raw);
+      break;
+    case TAG.Double:
+      writer.f64(raw);
+      break;
+    case TAG.String:
+      writer.string(raw);
+      break;
+    case TAG.List: {
+      const { type: itemType, items } = Array.isArray(raw)
+        ? { type: raw.length > 0 ? getTagType(raw[0]) : TAG.End, items: raw }
+        : raw;
+      writer.u8(items.length > 0 ? itemType : TAG.End);
+      writer.i32(items.length);
+      items.forEach((item) => writePayload(writer, itemType, item));
+      break;
+    }
+    case TAG.Compound:
+      for (const [key, item] of Object.entries(raw)) {
+        if (item === undefined) continue;
+        const itemType = getTagType(item);
+        writer.u8(itemType);
+        writer.string(key);
+        writePayload(writer, itemType, item);
+      }
+      writer.u8(TAG.End);
+      break;
+    case TAG.IntArray:
+      writer.i32(raw.length);
+      raw.forEach((v) => writer.i32(v));
+      break;
+    default:
+      throw new TypeError(`Unsupported NBT tag type: ${type}`);
+  }
+}
+
+// growable big-endian buffer
+class ByteWriter {
+  constructor() {
+    this.buffer = new ArrayBuffer(1024);
+    this.view = new DataView(this.buffer);
+    this.length = 0;
+  }
+
+  reserve(size) {
+    if (this.length + size <= this.buffer.byteLength) return;
+    let capacity = this.buffer.byteLength * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const buffer = new ArrayBuffer(capacity);
+    new Uint8Array(buffer).set(new Uint8Array(this.buffer, 0, this.length));
+    this.buffer = buffer;
+    this.view = new DataView(buffer);
+  }
+
+  u8(v) {
+    this.reserve(1);
+    this.view.setUint8(this.length, v);
+    this.length += 1;
+  }
+  i8(v) {
+    this.reserve(1);
+    this.view.setInt8(this.length, v);
+    this.length += 1;
+  }
+  i16(v) {
+    this.reserve(2);
+    this.view.setInt16(this.length, v);
+    this.length += 2;
+  }
+  i32(v) {
+    this.reserve(4);
+    this.view.setInt32(this.length, v);
+    this.length += 4;
+  }
+  i64(v) {
+    this.reserve(8);
+    this.view.setBigInt64(this.length, v);
+    this.length += 8;
+  }
+  f32(v) {
+    this.reserve(4);
+    this.view.setFloat32(this.length, v);
+    this.length += 4;
+  }
+  f64(v) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, v);
+    this.length += 8;
+  }
+
+  // unsigned short length + UTF-8 (same as Java modified UTF-8 without NUL or emoji)
+  string(text) {
+    const bytes = new TextEncoder().encode(text);
+    if (bytes.length > 0xffff) throw new RangeError("NBT string too long");
+    this.reserve(2 + bytes.length);
+    this.view.setUint16(this.length, bytes.length);
+    new Uint8Array(this.buffer, this.length + 2).set(bytes);
+    this.length += 2 + bytes.length;
+  }
+
+  bytes() {
+    return new Uint8Array(this.buffer.slice(0, this.length));
+  }
+}
+
 export function formatNumber(num, length = 12) {
   const n = Number(num);
   if (!Number.isFinite(n)) return String(num);
@@ -48,3 +335,38 @@ export function hexToSignedDword(hexString) {
   const unsigned = parseInt(hexString, 16);
   return unsigned >= 0x80000000 ? unsigned - 0x100000000 : unsigned;
 }
+
+/**
+ * Parses a computed CSS color ("rgb(...)" / "rgba(...)").
+ * @param {string} color
+ * @returns {{ rgb: [number, number, number], alpha: number } | null}
+ */
+export function parseRGBA(color) {
+  const match = color?.match(
+    /rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?/
+  );
+  if (!match) return null;
+
+  let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (match[4]?.endsWith("%")) alpha /= 100;
+
+  return {
+    rgb: [match[1], match[2], match[3]].map((v) => parseFloat(v)),
+    alpha,
+  };
+}
+
+/**
+ * [r, g, b] to hex string (RRGGBB)
+ * @param {[number, number, number]} rgb
+ * @returns {string}
+ */
+export function toHexColor(rgb) {
+  return rgb
+    .map((v) =>
+      Math.round(Math.min(255, Math.max(0, v)))
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("");
+}
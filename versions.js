@@ -0,0 +1,42 @@
+/**
+ * Output formats of supported Minecraft Java versions (display entities since 1.19.4), newest first.
+ * - id: label without spaces, usable as option value.
+ * - packFormat: data pack format of pack.mcmeta.
+ * - dataVersion: DataVersion of structure files, the oldest release of the range.
+ * - functionFolder: "functions" before 1.21, "function" since.
+ * - textComponent: "snbt" since 1.21.5 (text components are NBT), "json" before (JSON string).
+ * The text_display scale and offset are not listed: the default font's space glyph and the
+ * background padding are the same in all of them (see TEXT_SCALE in display.js).
+ * @type {Array<{id: string, label: string, packFormat: number, dataVersion: number, functionFolder: string,
+ *   textComponent: "snbt" | "json"}>}
+ */
+export const VERSIONS = [
+  ["1.21.7 - 1.21.8", 81, 4438, "function", "snbt"],
+  ["1.21.6", 80, 4435, "function", "snbt"],
+  ["1.21.5", 71, 4325, "function", "snbt"],
+  ["1.21.4", 61, 4189, "function", "json"],
+  ["1.21.2 - 1.21.3", 57, 4080, "function", "json"],
+  ["1.21 - 1.21.1", 48, 3953, "function", "json"],
+  ["1.20.5 - 1.20.6", 41, 3837, "functions", "json"],
+  ["1.20.3 - 1.20.4", 26, 3698, "functions", "json"],
+  ["1.20.2", 18, 3578, "functions", "json"],
+  ["1.20 - 1.20.1", 15, 3463, "functions", "json"],
+  ["1.19.4", 12, 3337, "functions", "json"],
+].map(([label, packFormat, dataVersion, functionFolder, textComponent]) => ({
+  id: label.replaceAll(" ", ""),
+  label,
+  packFormat,
+  dataVersion,
+  functionFolder,
+  textComponent,
+}));
+
+export const LATEST_VERSION = VERSIONS[0];
+
+/**
+ * @param {string} id
+ * @returns {object} version of VERSIONS, the latest if unknown
+ */
+export function getVersion(id) {
+  return VERSIONS.find((version) => version.id === id) ?? LATEST_VERSION;
+}
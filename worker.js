@@ -0,0 +1,78 @@
+// Conversion worker. A classic worker, since libtess and polygon-clipping
+// are UMD scripts that set globals; the pipeline modules are imported dynamically.
+importScripts(
+  "https://cdn.jsdelivr.net/npm/libtess@1.2.2/libtess.min.js",
+  "https://cdn.jsdelivr.net/npm/polygon-clipping@0.15.7/dist/polygon-clipping.umd.min.js"
+);
+
+const modules = Promise.all([
+  import("./display.js"),
+  import("./polygon.js"),
+  import("./geometry.js"),
+  import("./pipeline.js"),
+]);
+
+/**
+ * Requests:
+ * - { type: "convert", polygons, options } -> { type: "result", polygons, results, count, removedArea }
+ * - { type: "prepare", polygons, options } -> { type: "result", polygons }
+ * - { type: "measure", results, reference } -> { type: "result", coverage }
+ * - { type: "serialize", display, maxLength, pos } -> { type: "result", commands }
+ * Progress is posted as { type: "progress", done, total }, failures as { type: "error", message }.
+ */
+self.addEventListener("message", async ({ data }) => {
+  try {
+    const [
+      { Display },
+      { Polygon },
+      { measureCoverage },
+      { convertPolygons, preparePolygons },
+    ] = await modules;
+
+    if (data.type === "convert") {
+      const { polygons, results, count, removedArea, timings } =
+        convertPolygons(
+          data.polygons.map((p) => Polygon.fromJSON(p)),
+          data.options,
+          (done, total) => self.postMessage({ type: "progress", done, total })
+        );
+      self.postMessage({
+        type: "result",
+        polygons: polygons.map((p) => p.toJSON()),
+        results: results.map(({ polygon, display }) => ({
+          polygon: polygon.toJSON(),
+          display,
+        })),
+        count,
+        removedArea,
+        timings,
+      });
+    } else if (data.type === "prepare") {
+      const { polygons } = preparePolygons(
+        data.polygons.map((p) => Polygon.fromJSON(p)),
+        data.options
+      );
+      self.postMessage({
+        type: "result",
+        polygons: polygons.map((p) => p.toJSON()),
+      });
+    } else if (data.type === "measure") {
+      const coverage = measureCoverage(
+        data.results.map(({ polygon, display }) => ({
+          polygon: Polygon.fromJSON(polygon),
+          display: Display.fromJSON(display),
+        })),
+        data.reference?.map((p) => Polygon.fromJSON(p))
+      );
+      self.postMessage({ type: "result", coverage });
+    } else if (data.type === "serialize") {
+      const commands = Display.fromJSON(data.display).commands(
+        data.maxLength ?? Infinity,
+        data.pos
+      );
+      self.postMessage({ type: "result", commands });
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", message: String(error?.stack ?? error) });
+  }
+});